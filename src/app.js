@@ -1,19 +1,57 @@
 import express from "express";
 import cookieParser from "cookie-parser";
 import cors from "cors";
+import { MEDIA_URL_PATH, getMediaDirectory } from "./utils/localDiskStorage.js";
+import { requireSignedMediaUrl } from "./middlewares/media.middleware.js";
 
 const app = express();
 
+// Behind a reverse proxy, take the client IP used for rate limiting from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set(
+    "trust proxy",
+    Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY
+  );
+}
+
 app.use(cors({ origin: process.env.CORS_ORIGIN, credentials: true }));
 app.use(express.json({ limit: "16kb" }));
 app.use(express.urlencoded({ extended: true, limit: "16kb" }));
 app.use(express.static("public"));
+// Serve the media kept by the local storage driver, video files only through signed URLs
+app.use(`${MEDIA_URL_PATH}/videos`, requireSignedMediaUrl);
+app.use(MEDIA_URL_PATH, express.static(getMediaDirectory()));
 app.use(cookieParser());
 
 import userRouter from "./routes/user.routes.js";
 import videoRouter from "./routes/video.routes.js";
+import likeDislikeRouter from "./routes/likeDislike.routes.js";
+import subscriptionRouter from "./routes/subscription.routes.js";
+import watchHistoryRouter from "./routes/watchHistory.routes.js";
+import commentRouter from "./routes/comment.routes.js";
+import playlistRouter from "./routes/playlist.routes.js";
+import postRouter from "./routes/post.routes.js";
+import tagRouter from "./routes/tag.routes.js";
+import adminRouter from "./routes/admin.routes.js";
+import feedRouter from "./routes/feed.routes.js";
+import dashboardRouter from "./routes/dashboard.routes.js";
+import { notFound, errorHandler } from "./middlewares/error.middleware.js";
 
 app.use("/api/v1/users", userRouter);
 app.use("/api/v1/videos", videoRouter);
+app.use("/api/v1/likes", likeDislikeRouter);
+app.use("/api/v1/subscriptions", subscriptionRouter);
+app.use("/api/v1/history", watchHistoryRouter);
+app.use("/api/v1/comments", commentRouter);
+app.use("/api/v1/playlists", playlistRouter);
+app.use("/api/v1/posts", postRouter);
+app.use("/api/v1/tags", tagRouter);
+app.use("/api/v1/admin", adminRouter);
+app.use("/api/v1/feed", feedRouter);
+app.use("/api/v1/dashboard", dashboardRouter);
+
+// Answer unknown routes and errors with JSON instead of Express's HTML pages
+app.use(notFound);
+app.use(errorHandler);
 
 export { app };
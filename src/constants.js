@@ -1 +1,92 @@
-export const DB_NAME = 'youtube';
\ No newline at end of file
+export const DB_NAME = 'youtube';
+
+// Share of a video's duration after which it counts as finished in the watch history
+export const WATCH_COMPLETION_RATIO = 0.95;
+
+// Defaults for view counting, overridable with VIEW_DEDUP_WINDOW_MINUTES and VIEW_MIN_WATCH_SECONDS
+export const VIEW_DEDUP_WINDOW_MINUTES = 30;
+export const VIEW_MIN_WATCH_SECONDS = 30;
+
+// Lifetimes of the tokens emailed for email verification and password reset
+export const EMAIL_VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+export const PASSWORD_RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+// Default rate limits, each overridable with RATE_LIMIT_<NAME>_WINDOW_MS and RATE_LIMIT_<NAME>_MAX
+export const RATE_LIMITS = {
+  LOGIN_IP: { windowMs: 15 * 60 * 1000, max: 20 },
+  LOGIN_ACCOUNT: { windowMs: 15 * 60 * 1000, max: 10 },
+  REGISTER_IP: { windowMs: 60 * 60 * 1000, max: 5 },
+  REFRESH_IP: { windowMs: 15 * 60 * 1000, max: 60 },
+  UPLOAD_USER: { windowMs: 60 * 60 * 1000, max: 30 },
+};
+
+// Failed logins allowed before an account is locked, and how long the lock lasts (doubling with every further failure)
+export const LOGIN_LOCKOUT_THRESHOLD = 5;
+export const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+export const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+// How long failed logins are remembered when the user stops trying
+export const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Background job queue: how often the worker looks for jobs, how often a job is tried
+// and the delay before the first retry (doubling with every further attempt)
+export const JOB_POLL_INTERVAL_MS = 2000;
+export const JOB_MAX_ATTEMPTS = 5;
+export const JOB_RETRY_BASE_MS = 30 * 1000;
+// Running jobs whose lock was not refreshed for this long are considered abandoned by a stopped worker and queued again
+export const JOB_STALE_AFTER_MS = 5 * 60 * 1000;
+
+// Lifetime of the signed URLs handed out to stream videos from remote storage
+export const VIDEO_STREAM_URL_TTL_SECONDS = 15 * 60;
+
+// Home feed candidates: public videos from the last FEED_CANDIDATE_WINDOW_DAYS, newest first, at most FEED_CANDIDATE_LIMIT
+export const FEED_CANDIDATE_WINDOW_DAYS = 30;
+export const FEED_CANDIDATE_LIMIT = 500;
+// Number of recent watch history entries the interests of a user are learned from
+export const FEED_HISTORY_SIZE = 200;
+// Age after which the recency score of a video in the home feed halves
+export const FEED_RECENCY_HALF_LIFE_HOURS = 72;
+// Weights of the signals blended into the home feed score, summing to 1
+export const FEED_SCORE_WEIGHTS = {
+  recency: 0.3,
+  popularity: 0.2,
+  likeRatio: 0.15,
+  affinity: 0.35,
+};
+
+// Co-watch signal of the related videos: recomputed every COWATCH_INTERVAL_MS from the watch history of the last
+// COWATCH_WINDOW_DAYS, using the COWATCH_HISTORY_SIZE latest videos of each user, and keeping pairs watched by at
+// least COWATCH_MIN_VIEWERS users, at most COWATCH_MAX_RELATED per video
+export const COWATCH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+export const COWATCH_WINDOW_DAYS = 90;
+export const COWATCH_HISTORY_SIZE = 50;
+export const COWATCH_MIN_VIEWERS = 2;
+export const COWATCH_MAX_RELATED = 50;
+// Weights of the signals blended into the related videos score, summing to 1
+export const RELATED_SCORE_WEIGHTS = {
+  coWatch: 0.4,
+  tags: 0.3,
+  channel: 0.2,
+  category: 0.1,
+};
+
+// Days after which analytics events are removed, longer than any window or rollup reading them
+export const ANALYTICS_EVENT_TTL_DAYS = 35;
+
+// Trending videos: recomputed every TRENDING_INTERVAL_MS from the views and likes of the last TRENDING_WINDOW_HOURS,
+// each counting half as much every TRENDING_HALF_LIFE_HOURS, for public videos at most TRENDING_MAX_AGE_DAYS old
+export const TRENDING_INTERVAL_MS = 15 * 60 * 1000;
+export const TRENDING_WINDOW_HOURS = 48;
+export const TRENDING_HALF_LIFE_HOURS = 12;
+export const TRENDING_MAX_AGE_DAYS = 30;
+// Number of videos kept in each trending snapshot
+export const TRENDING_SIZE = 100;
+// Weights of a view and of a like in the trending score
+export const TRENDING_SCORE_WEIGHTS = { views: 1, likes: 5 };
+
+// Channel statistics: rolled up from the analytics events every ANALYTICS_ROLLUP_INTERVAL_MS,
+// the first rollup going back ANALYTICS_BACKFILL_DAYS (at most ANALYTICS_EVENT_TTL_DAYS)
+export const ANALYTICS_ROLLUP_INTERVAL_MS = 60 * 60 * 1000;
+export const ANALYTICS_BACKFILL_DAYS = 30;
+// Default and maximum number of days covered by the time series of the dashboard
+export const DASHBOARD_DEFAULT_RANGE_DAYS = 28;
+export const DASHBOARD_MAX_RANGE_DAYS = 731;
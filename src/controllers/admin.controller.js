@@ -0,0 +1,120 @@
+import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+
+/**
+ * Finds a user that the logged-in admin is allowed to manage.
+ * @param {string} userId - The ID of the user.
+ * @param {Object} admin - The logged-in admin.
+ * @returns {Object} The user document.
+ */
+const findManagedUser = async (userId, admin) => {
+  // Admins cannot change their own role or status, so they cannot lock themselves out
+  if (admin._id.equals(userId)) {
+    throw new ApiError(400, "You cannot change your own account.");
+  }
+
+  const user = await User.findById(userId).select("-password -refreshToken");
+  if (!user) {
+    throw new ApiError(404, "User not found.");
+  }
+
+  return user;
+};
+
+/**
+ * Gets a paginated list of users, optionally filtered by role, status or search term.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the users.
+ */
+const getAllUsers = asyncHandler(async (req, res) => {
+  const { role, status, query } = req.query;
+
+  const match = {};
+  if (role) match.role = role;
+  if (status) match.accountStatus = status;
+  if (query) {
+    // Escape the search term so it is matched literally
+    const pattern = new RegExp(
+      query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+      "i"
+    );
+    match.$or = [
+      { username: pattern },
+      { email: pattern },
+      { fullName: pattern },
+    ];
+  }
+
+  const aggregate = User.aggregate([
+    { $match: match },
+    { $sort: { createdAt: -1 } },
+    { $project: { password: 0, refreshToken: 0 } },
+  ]);
+
+  const users = await User.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query, 100)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, users, "Users fetched successfully"));
+});
+
+/**
+ * Changes the role of a user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated user.
+ */
+const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  const user = await findManagedUser(userId, req.user);
+  user.role = role;
+  await user.save({ validateBeforeSave: false });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User role updated successfully"));
+});
+
+/**
+ * Activates, suspends or bans a user.
+ * Suspensions can be limited in time with durationHours.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated user.
+ */
+const updateUserStatus = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { status, reason, durationHours } = req.body;
+
+  const user = await findManagedUser(userId, req.user);
+
+  user.accountStatus = status;
+  user.statusReason = status === "active" ? undefined : reason;
+  user.suspendedUntil =
+    status === "suspended" && durationHours
+      ? new Date(Date.now() + durationHours * 60 * 60 * 1000)
+      : undefined;
+
+  await user.save({ validateBeforeSave: false });
+
+  // End the sessions of suspended and banned users
+  if (status !== "active") {
+    await Session.revokeForUser(user._id, `account ${status}`);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User status updated successfully"));
+});
+
+export { getAllUsers, updateUserRole, updateUserStatus };
@@ -0,0 +1,486 @@
+import { Comment } from "../models/comment.model.js";
+import { Video } from "../models/video.model.js";
+import { Post } from "../models/post.model.js";
+import {
+  LikeDislike,
+  reactionSummaryStages,
+} from "../models/likeDislike.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+
+// Models that can be commented on, keyed by their field on the Comment model,
+// along with a check of whether a document is visible to the user
+const COMMENT_TARGETS = {
+  video: {
+    model: Video,
+    // Private videos and videos that are not ready are only visible to their owner
+    isVisible: (video, user) => video.isVisibleTo(user?._id),
+  },
+  post: {
+    model: Post,
+    isVisible: () => true,
+  },
+};
+
+/**
+ * Gets the target field of a comment ("video" or "post").
+ * @param {Object} comment - The comment document.
+ * @returns {string} The target field of the comment.
+ */
+const getCommentTarget = (comment) => (comment.video ? "video" : "post");
+
+/**
+ * Finds a video or post that can be commented on and ensures it is visible to the user.
+ * @param {string} target - The target field ("video" or "post").
+ * @param {string} targetId - The ID of the target.
+ * @param {Object} [user] - The logged-in user.
+ * @returns {Object} The target document.
+ */
+const findCommentTarget = async (target, targetId, user) => {
+  const { model, isVisible } = COMMENT_TARGETS[target];
+  const document = await model
+    .findById(targetId)
+    .select("owner status processingStatus");
+
+  if (!document || !isVisible(document, user)) {
+    throw new ApiError(
+      404,
+      `${target[0].toUpperCase()}${target.slice(1)} not found.`
+    );
+  }
+
+  return document;
+};
+
+/**
+ * Finds a comment by its ID.
+ * @param {string} commentId - The ID of the comment.
+ * @returns {Object} The comment document.
+ */
+const findComment = async (commentId) => {
+  const comment = await Comment.findById(commentId);
+  if (!comment) {
+    throw new ApiError(404, "Comment not found.");
+  }
+
+  return comment;
+};
+
+/**
+ * Finds a comment and ensures that the logged-in user owns the video or post it belongs to.
+ * @param {string} commentId - The ID of the comment.
+ * @param {Object} user - The logged-in user.
+ * @returns {Object} The comment document.
+ */
+const findModeratedComment = async (commentId, user) => {
+  const comment = await findComment(commentId);
+  const target = getCommentTarget(comment);
+  const document = await COMMENT_TARGETS[target].model
+    .findById(comment[target])
+    .select("owner");
+
+  // Only the owner of the video or post can moderate its comments
+  if (!document?.owner?.equals(user._id)) {
+    throw new ApiError(
+      403,
+      `Only the ${target} owner can moderate this comment.`
+    );
+  }
+
+  return comment;
+};
+
+/**
+ * Builds the aggregation stages that attach the author, reactions and reply count to each comment.
+ * @param {Object} [user] - The logged-in user.
+ * @param {boolean} includeHidden - Whether hidden replies are counted.
+ * @returns {Array} The aggregation stages.
+ */
+const commentDetailsStages = (user, includeHidden) => [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+    },
+  },
+  { $addFields: { owner: { $first: "$owner" } } },
+  ...reactionSummaryStages("comment", user?._id),
+  {
+    $lookup: {
+      from: "comments",
+      localField: "_id",
+      foreignField: "parent",
+      as: "replies",
+      pipeline: [
+        ...(includeHidden ? [] : [{ $match: { isHidden: false } }]),
+        { $count: "count" },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      repliesCount: { $ifNull: [{ $first: "$replies.count" }, 0] },
+    },
+  },
+  { $project: { replies: 0, likesDislikes: 0 } },
+];
+
+/**
+ * Gets a paginated list of the top-level comments of a video or post, pinned comments first.
+ * @param {string} target - The target field ("video" or "post").
+ * @param {string} targetId - The ID of the target.
+ * @param {Object} req - The request object.
+ * @returns {Object} The paginated comments.
+ */
+const getTargetComments = async (target, targetId, req) => {
+  const { sortBy = "newest" } = req.query;
+
+  const document = await findCommentTarget(target, targetId, req.user);
+  // The owner of the video or post also sees the comments they hid
+  const isTargetOwner = document.owner?.equals(req.user?._id);
+
+  const aggregate = Comment.aggregate([
+    {
+      $match: {
+        [target]: document._id,
+        parent: null,
+        ...(isTargetOwner ? {} : { isHidden: false }),
+      },
+    },
+    ...commentDetailsStages(req.user, isTargetOwner),
+    {
+      $sort:
+        sortBy === "top"
+          ? { isPinned: -1, likesCount: -1, createdAt: -1 }
+          : { isPinned: -1, createdAt: -1 },
+    },
+  ]);
+
+  return await Comment.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+};
+
+/**
+ * Adds a comment, or a reply to a comment, to a video or post.
+ * @param {string} target - The target field ("video" or "post").
+ * @param {string} targetId - The ID of the target.
+ * @param {Object} req - The request object.
+ * @returns {Object} The created comment.
+ */
+const createComment = async (target, targetId, req) => {
+  const { content, parentId } = req.body;
+
+  const document = await findCommentTarget(target, targetId, req.user);
+
+  // Replies are kept one level deep, so replying to a reply answers its top-level comment
+  let parent = null;
+  if (parentId) {
+    const parentComment = await findComment(parentId);
+    if (!parentComment[target]?.equals(document._id)) {
+      throw new ApiError(
+        400,
+        `Parent comment does not belong to this ${target}.`
+      );
+    }
+    const threadComment = parentComment.parent
+      ? await findComment(parentComment.parent)
+      : parentComment;
+
+    // Hidden comments and the replies of hidden comments cannot be replied to
+    if (parentComment.isHidden || threadComment.isHidden) {
+      throw new ApiError(404, "Parent comment not found.");
+    }
+    parent = threadComment._id;
+  }
+
+  const comment = await Comment.create({
+    content,
+    [target]: document._id,
+    owner: req.user._id,
+    parent,
+  });
+
+  // Keep the comment references on the video or post in sync
+  await COMMENT_TARGETS[target].model.updateOne(
+    { _id: document._id },
+    { $addToSet: { comments: comment._id } }
+  );
+
+  return comment;
+};
+
+/**
+ * Gets a paginated list of the top-level comments of a video, pinned comments first.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the comments.
+ */
+const getVideoComments = asyncHandler(async (req, res) => {
+  const comments = await getTargetComments("video", req.params.videoId, req);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+/**
+ * Gets a paginated list of the top-level comments of a community post, pinned comments first.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the comments.
+ */
+const getPostComments = asyncHandler(async (req, res) => {
+  const comments = await getTargetComments("post", req.params.postId, req);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, comments, "Comments fetched successfully"));
+});
+
+/**
+ * Gets a paginated list of the replies to a comment, oldest first.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the replies.
+ */
+const getCommentReplies = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findComment(commentId);
+  const target = getCommentTarget(comment);
+  const document = await findCommentTarget(target, comment[target], req.user);
+  const isTargetOwner = document.owner?.equals(req.user?._id);
+
+  // Replies to a hidden comment are hidden along with it
+  if (comment.isHidden && !isTargetOwner) {
+    throw new ApiError(404, "Comment not found.");
+  }
+
+  const aggregate = Comment.aggregate([
+    {
+      $match: {
+        parent: comment._id,
+        ...(isTargetOwner ? {} : { isHidden: false }),
+      },
+    },
+    { $sort: { createdAt: 1 } },
+    ...commentDetailsStages(req.user, isTargetOwner),
+  ]);
+
+  const replies = await Comment.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, replies, "Replies fetched successfully"));
+});
+
+/**
+ * Adds a comment, or a reply to a comment, to a video.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the created comment.
+ */
+const addVideoComment = asyncHandler(async (req, res) => {
+  const comment = await createComment("video", req.params.videoId, req);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(200, comment, "Comment added successfully"));
+});
+
+/**
+ * Adds a comment, or a reply to a comment, to a community post.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the created comment.
+ */
+const addPostComment = asyncHandler(async (req, res) => {
+  const comment = await createComment("post", req.params.postId, req);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(200, comment, "Comment added successfully"));
+});
+
+/**
+ * Updates the content of a comment written by the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated comment.
+ */
+const updateComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+  const { content } = req.body;
+
+  const comment = await findComment(commentId);
+
+  // Only the author of the comment is allowed to edit it
+  if (!comment.owner.equals(req.user._id)) {
+    throw new ApiError(403, "You are not allowed to edit this comment.");
+  }
+
+  comment.content = content;
+  comment.isEdited = true;
+  const updatedComment = await comment.save();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedComment, "Comment updated successfully"));
+});
+
+/**
+ * Deletes a comment and its replies. Allowed for the author and the video or post owner.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object confirming the deletion.
+ */
+const deleteComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findComment(commentId);
+  const target = getCommentTarget(comment);
+  const { model } = COMMENT_TARGETS[target];
+  const document = await model.findById(comment[target]).select("owner");
+
+  // Only the author of the comment or the owner of the video or post can delete it
+  if (
+    !comment.owner.equals(req.user._id) &&
+    !document?.owner?.equals(req.user._id)
+  ) {
+    throw new ApiError(403, "You are not allowed to delete this comment.");
+  }
+
+  // Deleting a top-level comment deletes its replies as well
+  const replies = await Comment.find({ parent: comment._id }).select("_id");
+  const commentIds = [comment._id, ...replies.map((reply) => reply._id)];
+
+  await Comment.deleteMany({ _id: { $in: commentIds } });
+  await LikeDislike.deleteMany({ comment: { $in: commentIds } });
+  await model.updateOne(
+    { _id: comment[target] },
+    { $pull: { comments: { $in: commentIds } } }
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Comment deleted successfully"));
+});
+
+/**
+ * Pins or unpins a top-level comment on a video or post owned by the logged-in user.
+ * Pinning a comment unpins any other comment on the same video or post.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated comment.
+ */
+const togglePinComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findModeratedComment(commentId, req.user);
+
+  // Only top-level comments can be pinned
+  if (comment.parent) {
+    throw new ApiError(400, "Replies cannot be pinned.");
+  }
+
+  if (!comment.isPinned) {
+    const target = getCommentTarget(comment);
+    await Comment.updateMany(
+      { [target]: comment[target], isPinned: true },
+      { $set: { isPinned: false } }
+    );
+  }
+
+  comment.isPinned = !comment.isPinned;
+  const updatedComment = await comment.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        updatedComment,
+        updatedComment.isPinned
+          ? "Comment pinned successfully"
+          : "Comment unpinned successfully"
+      )
+    );
+});
+
+/**
+ * Hides or unhides a comment on a video or post owned by the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated comment.
+ */
+const toggleHideComment = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findModeratedComment(commentId, req.user);
+
+  comment.isHidden = !comment.isHidden;
+  // A hidden comment cannot stay pinned
+  if (comment.isHidden) {
+    comment.isPinned = false;
+  }
+  const updatedComment = await comment.save();
+
+  // Hiding a top-level comment hides its whole thread, so its visible replies go with it
+  let threadIds = [comment._id];
+  let isCounted = !comment.isHidden;
+  if (!comment.parent) {
+    const replies = await Comment.find({
+      parent: comment._id,
+      isHidden: false,
+    }).select("_id");
+    threadIds = [comment._id, ...replies.map((reply) => reply._id)];
+  } else if (isCounted) {
+    const parentComment = await Comment.findById(comment.parent).select(
+      "isHidden"
+    );
+    isCounted = !parentComment?.isHidden;
+  }
+
+  // Hidden comments and the replies of hidden comments are not counted on the video or post
+  const target = getCommentTarget(comment);
+  await COMMENT_TARGETS[target].model.updateOne(
+    { _id: comment[target] },
+    isCounted
+      ? { $addToSet: { comments: { $each: threadIds } } }
+      : { $pull: { comments: { $in: threadIds } } }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        updatedComment,
+        updatedComment.isHidden
+          ? "Comment hidden successfully"
+          : "Comment unhidden successfully"
+      )
+    );
+});
+
+export {
+  getVideoComments,
+  getPostComments,
+  getCommentReplies,
+  addVideoComment,
+  addPostComment,
+  updateComment,
+  deleteComment,
+  togglePinComment,
+  toggleHideComment,
+};
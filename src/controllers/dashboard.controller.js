@@ -0,0 +1,285 @@
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { LikeDislike } from "../models/likeDislike.model.js";
+import { DailyStat } from "../models/dailyStat.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import {
+  startOfUtcDay,
+  addUtcDays,
+  listBuckets,
+  summarizeStats,
+} from "../utils/analytics.js";
+import {
+  DASHBOARD_DEFAULT_RANGE_DAYS,
+  DASHBOARD_MAX_RANGE_DAYS,
+} from "../constants.js";
+
+// Sums of the daily rows, as a $group accumulator
+const statSums = {
+  views: { $sum: "$views" },
+  watchTimeSeconds: { $sum: "$watchTimeSeconds" },
+  viewedDurationSeconds: { $sum: "$viewedDurationSeconds" },
+  likes: { $sum: "$likes" },
+  comments: { $sum: "$comments" },
+  subscribersGained: { $sum: "$subscribersGained" },
+  subscribersLost: { $sum: "$subscribersLost" },
+};
+
+/**
+ * Reads the date range and bucket size of the time series from the query parameters.
+ * By default the range covers the last DASHBOARD_DEFAULT_RANGE_DAYS days, today included.
+ * @param {Object} query - The request query object.
+ * @returns {Object} The first and last day of the range and the size of the buckets.
+ */
+const getDateRange = ({ startDate, endDate, interval = "day" }) => {
+  const to = startOfUtcDay(endDate || new Date());
+  const from = startOfUtcDay(
+    startDate || addUtcDays(to, -(DASHBOARD_DEFAULT_RANGE_DAYS - 1))
+  );
+
+  if (from > to) {
+    throw new ApiError(400, "Start date must be before end date.");
+  }
+  if (to - from >= DASHBOARD_MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new ApiError(
+      400,
+      `Date range can be at most ${DASHBOARD_MAX_RANGE_DAYS} days long.`
+    );
+  }
+
+  return { from, to, interval };
+};
+
+/**
+ * Gets the statistics of a channel or a video over a date range, in total and bucketed.
+ * @param {Object} match - The filter selecting the daily rows of the channel or the video.
+ * @param {Object} range - The date range from getDateRange.
+ * @returns {Object} The totals of the range and the time series, with empty buckets filled in.
+ */
+const getRangeStats = async (match, { from, to, interval }) => {
+  const [buckets, [totals]] = await Promise.all([
+    DailyStat.aggregate([
+      { $match: { ...match, date: { $gte: from, $lte: to } } },
+      {
+        $group: {
+          _id: {
+            $dateTrunc: {
+              date: "$date",
+              unit: interval,
+              startOfWeek: "monday",
+            },
+          },
+          ...statSums,
+        },
+      },
+    ]),
+    DailyStat.aggregate([
+      { $match: { ...match, date: { $gte: from, $lte: to } } },
+      { $group: { _id: null, ...statSums } },
+    ]),
+  ]);
+
+  const bucketsByDate = new Map(
+    buckets.map((bucket) => [bucket._id.getTime(), bucket])
+  );
+
+  return {
+    range: { startDate: from, endDate: to, interval },
+    totals: summarizeStats(totals),
+    series: listBuckets(from, to, interval).map((date) => ({
+      date,
+      ...summarizeStats(bucketsByDate.get(date.getTime())),
+    })),
+  };
+};
+
+/**
+ * Sums the daily rows of each of the given videos.
+ * @param {Object} match - The filter selecting the daily rows of the videos.
+ * @returns {Map} The summed rows, keyed by video ID.
+ */
+const sumPerVideo = async (match) => {
+  const sums = await DailyStat.aggregate([
+    { $match: match },
+    { $group: { _id: "$video", ...statSums } },
+  ]);
+  return new Map(sums.map((sum) => [String(sum._id), sum]));
+};
+
+/**
+ * Counts the likes of each of the given videos.
+ * @param {Array} videoIds - The IDs of the videos.
+ * @returns {Map} The number of likes, keyed by video ID.
+ */
+const countLikesPerVideo = async (videoIds) => {
+  const counts = await LikeDislike.aggregate([
+    { $match: { video: { $in: videoIds }, isLike: true } },
+    { $group: { _id: "$video", count: { $sum: 1 } } },
+  ]);
+  return new Map(counts.map((count) => [String(count._id), count.count]));
+};
+
+/**
+ * Gets the overview of the channel of the logged-in creator: lifetime totals and the statistics over a date range.
+ * Lifetime totals come from the counters kept on the documents and the likes, the statistics from the daily rollup.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the totals and time series of the channel.
+ */
+const getChannelOverview = asyncHandler(async (req, res) => {
+  const channelId = req.user._id;
+  const range = getDateRange(req.query);
+
+  const [[videoTotals], subscribers, stats] = await Promise.all([
+    Video.aggregate([
+      { $match: { owner: channelId } },
+      {
+        $group: {
+          _id: null,
+          videos: { $sum: 1 },
+          views: { $sum: "$views" },
+          comments: { $sum: { $size: { $ifNull: ["$comments", []] } } },
+          videoIds: { $push: "$_id" },
+        },
+      },
+    ]),
+    Subscription.countDocuments({ channel: channelId }),
+    getRangeStats({ channel: channelId, video: null }, range),
+  ]);
+
+  const likes = videoTotals
+    ? await LikeDislike.countDocuments({
+        video: { $in: videoTotals.videoIds },
+        isLike: true,
+      })
+    : 0;
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        lifetime: {
+          videos: videoTotals?.videos || 0,
+          views: videoTotals?.views || 0,
+          subscribers,
+          likes,
+          comments: videoTotals?.comments || 0,
+        },
+        ...stats,
+      },
+      "Channel overview fetched successfully"
+    )
+  );
+});
+
+/**
+ * Gets a paginated list of the videos of the logged-in creator, newest first,
+ * with their lifetime totals and their statistics over a date range.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the paginated videos and their statistics.
+ */
+const getVideosStats = asyncHandler(async (req, res) => {
+  const { from, to } = getDateRange(req.query);
+
+  const aggregate = Video.aggregate([
+    { $match: { owner: req.user._id } },
+    { $sort: { createdAt: -1 } },
+    {
+      $project: {
+        title: 1,
+        thumbnail: 1,
+        duration: 1,
+        status: 1,
+        processingStatus: 1,
+        createdAt: 1,
+        views: 1,
+        comments: { $size: { $ifNull: ["$comments", []] } },
+      },
+    },
+  ]);
+
+  const videos = await Video.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  // Likes and statistics are only gathered for the videos of the page
+  const videoIds = videos.docs.map((video) => video._id);
+  const [likes, rangeStats] = await Promise.all([
+    countLikesPerVideo(videoIds),
+    sumPerVideo({
+      channel: req.user._id,
+      video: { $in: videoIds },
+      date: { $gte: from, $lte: to },
+    }),
+  ]);
+
+  // Derive the averages from the summed rows of each video
+  videos.docs = videos.docs.map((video) => ({
+    ...video,
+    likes: likes.get(String(video._id)) || 0,
+    rangeStats: summarizeStats(rangeStats.get(String(video._id))),
+  }));
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { range: { startDate: from, endDate: to }, ...videos },
+        "Video statistics fetched successfully"
+      )
+    );
+});
+
+/**
+ * Gets the lifetime totals and the statistics over a date range of a video owned by the logged-in creator.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the totals and time series of the video.
+ */
+const getVideoStats = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const range = getDateRange(req.query);
+
+  const video = await Video.findById(videoId).select(
+    "title thumbnail duration status processingStatus createdAt views comments owner"
+  );
+
+  if (!video) {
+    throw new ApiError(404, "Video not found.");
+  }
+
+  // Only the owner of the video is allowed to see its statistics
+  if (!video.owner?.equals(req.user._id)) {
+    throw new ApiError(
+      403,
+      "You are not allowed to view the statistics of this video."
+    );
+  }
+
+  const [likes, stats] = await Promise.all([
+    LikeDislike.countDocuments({ video: video._id, isLike: true }),
+    getRangeStats({ channel: req.user._id, video: video._id }, range),
+  ]);
+
+  const { comments, ...details } = video.toJSON();
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        video: details,
+        lifetime: { views: video.views, likes, comments: comments.length },
+        ...stats,
+      },
+      "Video statistics fetched successfully"
+    )
+  );
+});
+
+export { getChannelOverview, getVideosStats, getVideoStats };
@@ -0,0 +1,205 @@
+import { Video } from "../models/video.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { reactionSummaryStages } from "../models/likeDislike.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  getPaginationOptions,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+} from "../utils/pagination.js";
+import { buildAffinityProfile, rankVideos } from "../utils/feedRanking.js";
+import {
+  WATCH_COMPLETION_RATIO,
+  FEED_CANDIDATE_WINDOW_DAYS,
+  FEED_CANDIDATE_LIMIT,
+  FEED_HISTORY_SIZE,
+} from "../constants.js";
+
+// Aggregation stages attaching the public details of the owner and hiding internal fields of a video
+const videoCardStages = [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+    },
+  },
+  { $addFields: { owner: { $first: "$owner" } } },
+  {
+    $project: {
+      comments: 0,
+      likesDislikes: 0,
+      videoFile: 0,
+      videoFileId: 0,
+    },
+  },
+];
+
+/**
+ * Learns the interests of a user from the most recent entries of their watch history.
+ * @param {string} userId - The ID of the user.
+ * @returns {Object} The affinity profile of the user.
+ */
+const getAffinityProfile = async (userId) => {
+  const history = await WatchHistory.find({ owner: userId })
+    .sort({ updatedAt: -1 })
+    .limit(FEED_HISTORY_SIZE)
+    .populate("video", "tags category owner duration")
+    .lean();
+
+  return buildAffinityProfile(history);
+};
+
+/**
+ * Gets the home feed: recent public videos ranked by recency, views, like ratio and,
+ * for logged-in users, their interests. Videos the user already finished are left out.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the paginated feed.
+ */
+const getHomeFeed = asyncHandler(async (req, res) => {
+  const userId = req.user?._id;
+  const { page, limit } = getPaginationOptions(req.query);
+
+  const windowStart = new Date(
+    Date.now() - FEED_CANDIDATE_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  );
+
+  // Stages leaving out the videos the user watched to the end
+  const unfinishedStages = userId
+    ? [
+        {
+          $lookup: {
+            from: "watchhistories",
+            localField: "_id",
+            foreignField: "video",
+            as: "watch",
+            pipeline: [
+              { $match: { owner: userId } },
+              { $project: { progress: 1 } },
+            ],
+          },
+        },
+        {
+          $match: {
+            $expr: {
+              $not: {
+                $and: [
+                  { $gt: ["$duration", 0] },
+                  {
+                    $gte: [
+                      { $ifNull: [{ $first: "$watch.progress" }, 0] },
+                      { $multiply: ["$duration", WATCH_COMPLETION_RATIO] },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+        },
+        { $project: { watch: 0 } },
+      ]
+    : [];
+
+  // Candidates are the newest public videos that are ready, scored below
+  const [candidates, profile] = await Promise.all([
+    Video.aggregate([
+      {
+        $match: {
+          status: "public",
+          processingStatus: { $nin: ["processing", "failed"] },
+          createdAt: { $gte: windowStart },
+        },
+      },
+      { $sort: { createdAt: -1 } },
+      ...unfinishedStages,
+      { $limit: FEED_CANDIDATE_LIMIT },
+      ...reactionSummaryStages("video", userId),
+      ...videoCardStages,
+    ]),
+    userId ? getAffinityProfile(userId) : null,
+  ]);
+
+  const ranked = rankVideos(candidates, profile);
+
+  // Paginate the ranked videos the same way as aggregatePaginate
+  const totalPages = Math.ceil(ranked.length / limit);
+  const feed = {
+    docs: ranked.slice((page - 1) * limit, page * limit),
+    totalDocs: ranked.length,
+    limit,
+    page,
+    totalPages,
+    hasPrevPage: page > 1,
+    hasNextPage: page < totalPages,
+    prevPage: page > 1 ? page - 1 : null,
+    nextPage: page < totalPages ? page + 1 : null,
+  };
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, feed, "Home feed fetched successfully"));
+});
+
+/**
+ * Gets the latest public videos of the channels the logged-in user subscribed to, newest first.
+ * The list is paginated with a cursor so that new uploads do not shift the following pages.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the videos and the cursor of the next page.
+ */
+const getSubscriptionsFeed = asyncHandler(async (req, res) => {
+  const { cursor } = req.query;
+  const { limit } = getPaginationOptions(req.query);
+
+  // Check if the cursor was built by a previous page
+  const position = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !position) {
+    throw new ApiError(400, "Invalid cursor.");
+  }
+
+  const subscriptions = await Subscription.find({
+    subscriber: req.user._id,
+  }).select("channel");
+
+  // Fetch one extra video to know whether there is a next page
+  const videos = await Video.aggregate([
+    {
+      $match: {
+        owner: {
+          $in: subscriptions.map((subscription) => subscription.channel),
+        },
+        status: "public",
+        processingStatus: { $nin: ["processing", "failed"] },
+        ...(position ? afterCursor(position) : {}),
+      },
+    },
+    { $sort: { createdAt: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    ...videoCardStages,
+  ]);
+
+  const hasNextPage = videos.length > limit;
+  const docs = videos.slice(0, limit);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        docs,
+        limit,
+        hasNextPage,
+        nextCursor: hasNextPage ? encodeCursor(docs[docs.length - 1]) : null,
+      },
+      "Subscriptions feed fetched successfully"
+    )
+  );
+});
+
+export { getHomeFeed, getSubscriptionsFeed };
@@ -0,0 +1,311 @@
+import mongoose from "mongoose";
+import { LikeDislike } from "../models/likeDislike.model.js";
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Post } from "../models/post.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+
+// Models that can be liked or disliked, keyed by their field on the LikeDislike model,
+// along with a (possibly async) check of whether a document is visible to the user
+const REACTION_TARGETS = {
+  video: {
+    model: Video,
+    // Private videos and videos that are not ready are only visible to their owner
+    isVisible: (video, user) => video.isVisibleTo(user?._id),
+  },
+  post: {
+    model: Post,
+    isVisible: () => true,
+  },
+  comment: {
+    model: Comment,
+    // Hidden comments cannot be reacted to, nor comments of a video or post the user cannot see
+    isVisible: async (comment, user) => {
+      if (comment.isHidden) return false;
+      const parentTarget = comment.video ? "video" : "post";
+      const { model, isVisible } = REACTION_TARGETS[parentTarget];
+      const parent = await model
+        .findById(comment[parentTarget])
+        .select("owner status processingStatus");
+      return Boolean(parent) && isVisible(parent, user);
+    },
+  },
+};
+
+/**
+ * Finds a target that can be reacted to and ensures it is visible to the user.
+ * @param {string} target - The target field ("video", "post" or "comment").
+ * @param {string} targetId - The ID of the target.
+ * @param {Object} [user] - The logged-in user.
+ * @returns {Object} The target document.
+ */
+const findReactionTarget = async (target, targetId, user) => {
+  const { model, isVisible } = REACTION_TARGETS[target];
+  const document = await model.findById(targetId);
+
+  if (!document || !(await isVisible(document, user))) {
+    throw new ApiError(
+      404,
+      `${target[0].toUpperCase()}${target.slice(1)} not found.`
+    );
+  }
+
+  return document;
+};
+
+/**
+ * Toggles the reaction of a user on a target.
+ * Reacting with the same reaction again removes it, reacting with the opposite one switches it.
+ * @param {string} target - The target field ("video", "post" or "comment").
+ * @param {string} targetId - The ID of the target.
+ * @param {Object} user - The logged-in user.
+ * @param {boolean} isLike - Whether the reaction is a like (true) or a dislike (false).
+ * @returns {Object} The reaction summary of the target after the toggle.
+ */
+const toggleReaction = async (target, targetId, user, isLike) => {
+  const document = await findReactionTarget(target, targetId, user);
+  const Model = REACTION_TARGETS[target].model;
+  // Keep the reaction references on the target in sync when it stores them
+  const tracksReactions = Boolean(Model.schema.path("likesDislikes"));
+
+  const existingReaction = await LikeDislike.findOne({
+    [target]: document._id,
+    likedBy: user._id,
+  });
+
+  if (!existingReaction) {
+    // No reaction yet, so create one
+    const reaction = await LikeDislike.create({
+      [target]: document._id,
+      likedBy: user._id,
+      isLike,
+    });
+    if (tracksReactions) {
+      await Model.updateOne(
+        { _id: document._id },
+        { $addToSet: { likesDislikes: reaction._id } }
+      );
+    }
+  } else if (existingReaction.isLike === isLike) {
+    // Same reaction again, so go back to neutral
+    await LikeDislike.findByIdAndDelete(existingReaction._id);
+    if (tracksReactions) {
+      await Model.updateOne(
+        { _id: document._id },
+        { $pull: { likesDislikes: existingReaction._id } }
+      );
+    }
+  } else {
+    // Opposite reaction, so switch it
+    existingReaction.isLike = isLike;
+    await existingReaction.save();
+  }
+
+  return await LikeDislike.getSummary(target, document._id, user._id);
+};
+
+/**
+ * Toggles a like or dislike on a video.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated reaction summary.
+ */
+const toggleVideoReaction = asyncHandler(async (req, res) => {
+  const { videoId, reaction } = req.params;
+
+  const summary = await toggleReaction(
+    "video",
+    videoId,
+    req.user,
+    reaction === "like"
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, summary, "Video reaction toggled successfully"));
+});
+
+/**
+ * Gets the like/dislike counts of a video and the reaction of the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the reaction summary.
+ */
+const getVideoReactions = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findReactionTarget("video", videoId, req.user);
+  const summary = await LikeDislike.getSummary(
+    "video",
+    video._id,
+    req.user?._id
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, summary, "Video reactions fetched successfully")
+    );
+});
+
+/**
+ * Toggles a like or dislike on a community post.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated reaction summary.
+ */
+const togglePostReaction = asyncHandler(async (req, res) => {
+  const { postId, reaction } = req.params;
+
+  const summary = await toggleReaction(
+    "post",
+    postId,
+    req.user,
+    reaction === "like"
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, summary, "Post reaction toggled successfully"));
+});
+
+/**
+ * Gets the like/dislike counts of a community post and the reaction of the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the reaction summary.
+ */
+const getPostReactions = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  const post = await findReactionTarget("post", postId, req.user);
+  const summary = await LikeDislike.getSummary("post", post._id, req.user?._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, summary, "Post reactions fetched successfully"));
+});
+
+/**
+ * Toggles a like or dislike on a comment.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated reaction summary.
+ */
+const toggleCommentReaction = asyncHandler(async (req, res) => {
+  const { commentId, reaction } = req.params;
+
+  const summary = await toggleReaction(
+    "comment",
+    commentId,
+    req.user,
+    reaction === "like"
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, summary, "Comment reaction toggled successfully")
+    );
+});
+
+/**
+ * Gets the like/dislike counts of a comment and the reaction of the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the reaction summary.
+ */
+const getCommentReactions = asyncHandler(async (req, res) => {
+  const { commentId } = req.params;
+
+  const comment = await findReactionTarget("comment", commentId, req.user);
+  const summary = await LikeDislike.getSummary(
+    "comment",
+    comment._id,
+    req.user?._id
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, summary, "Comment reactions fetched successfully")
+    );
+});
+
+/**
+ * Gets a paginated list of the videos liked by the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the liked videos.
+ */
+const getLikedVideos = asyncHandler(async (req, res) => {
+  const userId = new mongoose.Types.ObjectId(req.user._id);
+
+  const aggregate = LikeDislike.aggregate([
+    { $match: { likedBy: userId, isLike: true, video: { $exists: true } } },
+    { $sort: { createdAt: -1 } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          // Private videos and videos that are not ready are only listed for their owner
+          {
+            $match: {
+              $or: [
+                {
+                  status: { $ne: "private" },
+                  processingStatus: { $nin: ["processing", "failed"] },
+                },
+                { owner: userId },
+              ],
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+            },
+          },
+          { $addFields: { owner: { $first: "$owner" } } },
+          // Video files are only reachable through the stream endpoint
+          { $project: { videoFile: 0, videoFileId: 0 } },
+        ],
+      },
+    },
+    // Drop reactions whose video was deleted or is no longer visible
+    { $unwind: "$video" },
+    {
+      $replaceRoot: {
+        newRoot: { $mergeObjects: ["$video", { likedAt: "$createdAt" }] },
+      },
+    },
+  ]);
+
+  const videos = await LikeDislike.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Liked videos fetched successfully"));
+});
+
+export {
+  toggleVideoReaction,
+  getVideoReactions,
+  togglePostReaction,
+  getPostReactions,
+  toggleCommentReaction,
+  getCommentReactions,
+  getLikedVideos,
+};
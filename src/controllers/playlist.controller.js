@@ -0,0 +1,359 @@
+import mongoose from "mongoose";
+import { Playlist } from "../models/playlist.model.js";
+import { Video } from "../models/video.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+
+/**
+ * Finds a playlist by ID and ensures that it belongs to the given user.
+ * @param {string} playlistId - The ID of the playlist.
+ * @param {string} userId - The ID of the user who must own the playlist.
+ * @returns {Object} The playlist document.
+ */
+const findOwnedPlaylist = async (playlistId, userId) => {
+  const playlist = await Playlist.findById(playlistId);
+  if (!playlist) {
+    throw new ApiError(404, "Playlist not found.");
+  }
+
+  // Only the owner of the playlist is allowed to modify it
+  if (!playlist.owner.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to modify this playlist.");
+  }
+
+  return playlist;
+};
+
+/**
+ * Creates a new playlist for the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the created playlist.
+ */
+const createPlaylist = asyncHandler(async (req, res) => {
+  const { name, description, status } = req.body;
+
+  const playlist = await Playlist.create({
+    name,
+    description: description || "",
+    status,
+    owner: req.user._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(200, playlist, "Playlist created successfully"));
+});
+
+/**
+ * Gets a paginated list of the playlists of a user.
+ * The owner sees all of their playlists, other users only see the public ones.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the playlists.
+ */
+const getUserPlaylists = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  const isOwner = req.user?._id.equals(userId);
+
+  // Make sure users created before playlists existed also get a "Watch later" playlist
+  if (isOwner) {
+    await Playlist.ensureWatchLater(req.user._id);
+  }
+
+  const aggregate = Playlist.aggregate([
+    {
+      $match: {
+        owner: new mongoose.Types.ObjectId(userId),
+        ...(isOwner ? {} : { status: "public" }),
+      },
+    },
+    { $sort: { isWatchLater: -1, updatedAt: -1 } },
+    {
+      // Private videos and videos that are not ready are only visible to their owner, as in getPlaylistById
+      $lookup: {
+        from: "videos",
+        localField: "videos",
+        foreignField: "_id",
+        as: "visibleVideos",
+        pipeline: [
+          {
+            $match: {
+              $or: [
+                {
+                  status: { $ne: "private" },
+                  processingStatus: { $nin: ["processing", "failed"] },
+                },
+                ...(req.user ? [{ owner: req.user._id }] : []),
+              ],
+            },
+          },
+          { $project: { thumbnail: 1 } },
+        ],
+      },
+    },
+    // Keep the order of the playlist, leaving out deleted and hidden videos
+    {
+      $addFields: {
+        videos: {
+          $filter: {
+            input: "$videos",
+            cond: { $in: ["$$this", "$visibleVideos._id"] },
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        videosCount: { $size: "$videos" },
+        // Use the thumbnail of the first visible video as the playlist thumbnail
+        thumbnail: {
+          $arrayElemAt: [
+            "$visibleVideos.thumbnail",
+            { $indexOfArray: ["$visibleVideos._id", { $first: "$videos" }] },
+          ],
+        },
+      },
+    },
+    { $project: { videos: 0, visibleVideos: 0 } },
+  ]);
+
+  const playlists = await Playlist.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, playlists, "Playlists fetched successfully"));
+});
+
+/**
+ * Gets a playlist with its videos.
+ * Private playlists are only visible to their owner, unlisted ones to anyone with the link.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the playlist.
+ */
+const getPlaylistById = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  const playlist = await Playlist.findById(playlistId)
+    .populate("owner", "username fullName avatar")
+    .populate({
+      path: "videos",
+      select:
+        "title thumbnail duration views status processingStatus owner createdAt",
+      populate: { path: "owner", select: "username fullName avatar" },
+    });
+
+  const isOwner = playlist?.owner?._id.equals(req.user?._id);
+  if (!playlist || (playlist.status === "private" && !isOwner)) {
+    throw new ApiError(404, "Playlist not found.");
+  }
+
+  // Leave out deleted videos, and private videos and videos that are not ready of other users
+  const videos = playlist.videos.filter((video) =>
+    video?.isVisibleTo(req.user?._id)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...playlist.toObject(), videos, videosCount: videos.length },
+        "Playlist fetched successfully"
+      )
+    );
+});
+
+/**
+ * Updates the name, description or visibility of a playlist owned by the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated playlist.
+ */
+const updatePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+  const { name, description, status } = req.body;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+  if (name !== undefined) {
+    // The "Watch later" playlist keeps its name
+    if (playlist.isWatchLater) {
+      throw new ApiError(400, "The Watch later playlist cannot be renamed.");
+    }
+    playlist.name = name;
+  }
+  if (description !== undefined) playlist.description = description;
+  if (status !== undefined) playlist.status = status;
+
+  const updatedPlaylist = await playlist.save();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, updatedPlaylist, "Playlist updated successfully")
+    );
+});
+
+/**
+ * Deletes a playlist owned by the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object confirming the deletion.
+ */
+const deletePlaylist = asyncHandler(async (req, res) => {
+  const { playlistId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+  // The "Watch later" playlist is built in and cannot be deleted
+  if (playlist.isWatchLater) {
+    throw new ApiError(400, "The Watch later playlist cannot be deleted.");
+  }
+
+  await Playlist.findByIdAndDelete(playlist._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Playlist deleted successfully"));
+});
+
+/**
+ * Adds a video to the end of a playlist owned by the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated playlist.
+ */
+const addVideoToPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+  // Private videos and videos that are not ready can only be added by their owner
+  const video = await Video.findById(videoId).select(
+    "owner status processingStatus"
+  );
+  if (!video?.isVisibleTo(req.user._id)) {
+    throw new ApiError(404, "Video not found.");
+  }
+
+  // $addToSet keeps a video from being added twice, the version bump makes concurrent reorders fail
+  const updatedPlaylist = await Playlist.findByIdAndUpdate(
+    playlist._id,
+    { $addToSet: { videos: video._id }, $inc: { __v: 1 } },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        updatedPlaylist,
+        "Video added to playlist successfully"
+      )
+    );
+});
+
+/**
+ * Removes a video from a playlist owned by the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated playlist.
+ */
+const removeVideoFromPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+  if (!playlist.videos.some((id) => id.equals(videoId))) {
+    throw new ApiError(404, "Video not found in playlist.");
+  }
+
+  // The version bump makes concurrent reorders fail
+  const updatedPlaylist = await Playlist.findByIdAndUpdate(
+    playlist._id,
+    {
+      $pull: { videos: new mongoose.Types.ObjectId(videoId) },
+      $inc: { __v: 1 },
+    },
+    { new: true }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        updatedPlaylist,
+        "Video removed from playlist successfully"
+      )
+    );
+});
+
+/**
+ * Moves a video to a new position in a playlist owned by the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated playlist.
+ */
+const moveVideoInPlaylist = asyncHandler(async (req, res) => {
+  const { playlistId, videoId } = req.params;
+  const { position } = req.body;
+
+  const playlist = await findOwnedPlaylist(playlistId, req.user._id);
+
+  // Check if the position is a valid index in the playlist
+  if (position >= playlist.videos.length) {
+    throw new ApiError(
+      400,
+      `Position must be an integer between 0 and ${playlist.videos.length - 1}.`
+    );
+  }
+
+  const currentIndex = playlist.videos.findIndex((id) => id.equals(videoId));
+  if (currentIndex === -1) {
+    throw new ApiError(404, "Video not found in playlist.");
+  }
+
+  const videos = [...playlist.videos];
+  const [video] = videos.splice(currentIndex, 1);
+  videos.splice(position, 0, video);
+
+  // Only save the new order if the videos did not change since they were read
+  const updatedPlaylist = await Playlist.findOneAndUpdate(
+    { _id: playlist._id, __v: playlist.__v },
+    { $set: { videos }, $inc: { __v: 1 } },
+    { new: true }
+  );
+  if (!updatedPlaylist) {
+    throw new ApiError(
+      409,
+      "The playlist was changed at the same time, please try again."
+    );
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, updatedPlaylist, "Playlist reordered successfully")
+    );
+});
+
+export {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  moveVideoInPlaylist,
+};
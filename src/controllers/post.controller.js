@@ -0,0 +1,212 @@
+import mongoose from "mongoose";
+import { Post } from "../models/post.model.js";
+import { Comment } from "../models/comment.model.js";
+import {
+  LikeDislike,
+  reactionSummaryStages,
+} from "../models/likeDislike.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { uploadFile, deleteFile } from "../utils/storage.js";
+
+/**
+ * Finds a post by ID and ensures that it belongs to the given user.
+ * @param {string} postId - The ID of the post.
+ * @param {string} userId - The ID of the user who must own the post.
+ * @returns {Object} The post document.
+ */
+const findOwnedPost = async (postId, userId) => {
+  const post = await Post.findById(postId);
+  if (!post) {
+    throw new ApiError(404, "Post not found.");
+  }
+
+  // Only the owner of the post is allowed to modify it
+  if (!post.owner.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to modify this post.");
+  }
+
+  return post;
+};
+
+/**
+ * Builds the aggregation stages that attach the owner, reactions and comment count to each post.
+ * @param {Object} [user] - The logged-in user.
+ * @returns {Array} The aggregation stages.
+ */
+const postDetailsStages = (user) => [
+  {
+    $lookup: {
+      from: "users",
+      localField: "owner",
+      foreignField: "_id",
+      as: "owner",
+      pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+    },
+  },
+  {
+    $addFields: {
+      owner: { $first: "$owner" },
+      commentsCount: { $size: { $ifNull: ["$comments", []] } },
+    },
+  },
+  ...reactionSummaryStages("post", user?._id),
+  { $project: { comments: 0, likesDislikes: 0 } },
+];
+
+/**
+ * Creates a community post with optional image for the logged-in user's channel.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the created post.
+ */
+const createPost = asyncHandler(async (req, res) => {
+  const { content } = req.body;
+  const imageLocalPath = req.file?.path;
+
+  // Upload the image to the storage if one was provided
+  let image;
+  if (imageLocalPath) {
+    image = await uploadFile(imageLocalPath, "posts");
+    if (!image?.url) {
+      throw new ApiError(400, "Something went wrong while uploading the image");
+    }
+  }
+
+  const post = await Post.create({
+    content,
+    image: image?.url || "",
+    imageId: image?.assetId,
+    owner: req.user._id,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(200, post, "Post created successfully"));
+});
+
+/**
+ * Gets a paginated list of the community posts of a channel, newest first.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the posts.
+ */
+const getChannelPosts = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  const aggregate = Post.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(channelId) } },
+    { $sort: { createdAt: -1 } },
+    ...postDetailsStages(req.user),
+  ]);
+
+  const posts = await Post.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, posts, "Posts fetched successfully"));
+});
+
+/**
+ * Gets a single community post by its ID.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the post.
+ */
+const getPostById = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  const post = await Post.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(postId) } },
+    ...postDetailsStages(req.user),
+  ]);
+
+  if (!post?.length) {
+    throw new ApiError(404, "Post not found.");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, post[0], "Post fetched successfully"));
+});
+
+/**
+ * Updates the content and optionally the image of a post owned by the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated post.
+ */
+const updatePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+  const { content } = req.body;
+  const imageLocalPath = req.file?.path;
+
+  // Check if at least one field is provided
+  if (content === undefined && !imageLocalPath) {
+    throw new ApiError(400, "Content or image is required to update.");
+  }
+
+  const post = await findOwnedPost(postId, req.user._id);
+  const oldImageId = post.imageId;
+
+  if (content !== undefined) post.content = content;
+
+  // Upload the new image to the storage if one was provided
+  if (imageLocalPath) {
+    const image = await uploadFile(imageLocalPath, "posts");
+    if (!image?.url) {
+      throw new ApiError(400, "Something went wrong while uploading the image");
+    }
+    post.image = image.url;
+    post.imageId = image.assetId;
+  }
+
+  post.isEdited = true;
+  const updatedPost = await post.save();
+
+  // Remove the replaced image from the storage
+  if (imageLocalPath) {
+    await deleteFile(oldImageId);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedPost, "Post updated successfully"));
+});
+
+/**
+ * Deletes a post owned by the logged-in user along with its comments and reactions.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object confirming the deletion.
+ */
+const deletePost = asyncHandler(async (req, res) => {
+  const { postId } = req.params;
+
+  const post = await findOwnedPost(postId, req.user._id);
+
+  // Delete the post and the documents that reference it
+  await Post.findByIdAndDelete(post._id);
+  const comments = await Comment.find({ post: post._id }).select("_id");
+  await Comment.deleteMany({ post: post._id });
+  await LikeDislike.deleteMany({
+    $or: [
+      { post: post._id },
+      { comment: { $in: comments.map((comment) => comment._id) } },
+    ],
+  });
+
+  // Remove the image from the storage
+  await deleteFile(post.imageId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Post deleted successfully"));
+});
+
+export { createPost, getChannelPosts, getPostById, updatePost, deletePost };
@@ -0,0 +1,94 @@
+import { Session } from "../models/session.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+/**
+ * Gets the active sessions (signed-in devices) of the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the active sessions.
+ */
+const getActiveSessions = asyncHandler(async (req, res) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip lastUsedAt createdAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  // Flag the session the request was made with
+  const data = sessions.map((session) => ({
+    ...session,
+    isCurrent: session._id.equals(req.sessionId),
+  }));
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, data, "Active sessions fetched successfully"));
+});
+
+/**
+ * Revokes one session of the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object confirming the revocation.
+ */
+const revokeSession = asyncHandler(async (req, res) => {
+  const { sessionId } = req.params;
+
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, user: req.user._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "revoked by user" } }
+  );
+
+  if (!session) {
+    throw new ApiError(404, "Session not found.");
+  }
+
+  const response = res.status(200);
+
+  // Revoking the current session logs the user out on this device
+  if (session._id.equals(req.sessionId)) {
+    const options = { httpOnly: true, secure: true };
+    response
+      .clearCookie("accessToken", options)
+      .clearCookie("refreshToken", options);
+  }
+
+  return response.json(
+    new ApiResponse(200, {}, "Session revoked successfully")
+  );
+});
+
+/**
+ * Revokes all sessions of the logged-in user, including the current one.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the number of revoked sessions.
+ */
+const revokeAllSessions = asyncHandler(async (req, res) => {
+  const { modifiedCount } = await Session.revokeForUser(
+    req.user._id,
+    "revoked by user"
+  );
+
+  // Clear the cookies containing the access and refresh tokens
+  const options = { httpOnly: true, secure: true };
+
+  return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(
+      new ApiResponse(
+        200,
+        { revokedCount: modifiedCount },
+        "All sessions revoked successfully"
+      )
+    );
+});
+
+export { getActiveSessions, revokeSession, revokeAllSessions };
@@ -0,0 +1,148 @@
+import mongoose from "mongoose";
+import { Subscription } from "../models/subscription.model.js";
+import { User } from "../models/user.model.js";
+import { AnalyticsEvent } from "../models/analyticsEvent.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+
+/**
+ * Builds the lookup stages that replace a user reference with the public details of that user.
+ * @param {string} field - The field holding the user reference.
+ * @returns {Array} The aggregation stages.
+ */
+const lookupUser = (field) => [
+  {
+    $lookup: {
+      from: "users",
+      localField: field,
+      foreignField: "_id",
+      as: field,
+      pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+    },
+  },
+  // Drop subscriptions whose user no longer exists
+  { $unwind: `$${field}` },
+];
+
+/**
+ * Subscribes the logged-in user to a channel, or unsubscribes if already subscribed.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the subscription state and subscriber count.
+ */
+const toggleSubscription = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  // Users cannot subscribe to their own channel
+  if (req.user._id.equals(channelId)) {
+    throw new ApiError(400, "You cannot subscribe to your own channel.");
+  }
+
+  // Check if the channel exists
+  const channel = await User.exists({ _id: channelId });
+  if (!channel) {
+    throw new ApiError(404, "Channel not found.");
+  }
+
+  // Remove the subscription if it exists, otherwise create it
+  const existingSubscription = await Subscription.findOneAndDelete({
+    subscriber: req.user._id,
+    channel: channelId,
+  });
+
+  if (!existingSubscription) {
+    try {
+      await Subscription.create({
+        subscriber: req.user._id,
+        channel: channelId,
+      });
+    } catch (error) {
+      // The unique index rejects a concurrent duplicate subscription
+      if (error?.code === 11000) {
+        throw new ApiError(409, "Already subscribed to this channel.");
+      }
+      throw error;
+    }
+  }
+
+  // A deleted subscription leaves no timestamp, so the loss is recorded for the statistics of the channel
+  if (existingSubscription) {
+    await AnalyticsEvent.create({ type: "unsubscribe", channel: channelId });
+  }
+
+  const subscribersCount = await Subscription.countDocuments({
+    channel: channelId,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { isSubscribed: !existingSubscription, subscribersCount },
+        existingSubscription
+          ? "Unsubscribed successfully"
+          : "Subscribed successfully"
+      )
+    );
+});
+
+/**
+ * Gets a paginated list of the subscribers of a channel.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the subscribers.
+ */
+const getChannelSubscribers = asyncHandler(async (req, res) => {
+  const { channelId } = req.params;
+
+  const aggregate = Subscription.aggregate([
+    { $match: { channel: new mongoose.Types.ObjectId(channelId) } },
+    { $sort: { createdAt: -1 } },
+    ...lookupUser("subscriber"),
+    { $project: { subscriber: 1, subscribedAt: "$createdAt" } },
+  ]);
+
+  const subscribers = await Subscription.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, subscribers, "Subscribers fetched successfully")
+    );
+});
+
+/**
+ * Gets a paginated list of the channels a user is subscribed to.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the subscribed channels.
+ */
+const getSubscribedChannels = asyncHandler(async (req, res) => {
+  const { subscriberId } = req.params;
+
+  const aggregate = Subscription.aggregate([
+    { $match: { subscriber: new mongoose.Types.ObjectId(subscriberId) } },
+    { $sort: { createdAt: -1 } },
+    ...lookupUser("channel"),
+    { $project: { channel: 1, subscribedAt: "$createdAt" } },
+  ]);
+
+  const channels = await Subscription.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, channels, "Subscribed channels fetched successfully")
+    );
+});
+
+export { toggleSubscription, getChannelSubscribers, getSubscribedChannels };
@@ -0,0 +1,147 @@
+import { Tag } from "../models/tag.model.js";
+import { VideoTag } from "../models/videoTag.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { slugifyTag } from "../utils/tags.js";
+
+/**
+ * Gets a paginated list of the public videos associated with a tag, newest first.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the tag and its videos.
+ */
+const getTagVideos = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+
+  const tag = await Tag.findOne({ slug: slugifyTag(slug) });
+  if (!tag) {
+    throw new ApiError(404, "Tag not found.");
+  }
+
+  const aggregate = VideoTag.aggregate([
+    { $match: { tag: tag._id } },
+    { $sort: { createdAt: -1 } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $match: {
+              status: "public",
+              processingStatus: { $nin: ["processing", "failed"] },
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+            },
+          },
+          {
+            $addFields: {
+              owner: { $first: "$owner" },
+              commentsCount: { $size: { $ifNull: ["$comments", []] } },
+            },
+          },
+          {
+            $project: {
+              comments: 0,
+              likesDislikes: 0,
+              videoFile: 0,
+              videoFileId: 0,
+            },
+          },
+        ],
+      },
+    },
+    // Drop associations whose video was deleted or is not public
+    { $unwind: "$video" },
+    { $replaceRoot: { newRoot: "$video" } },
+  ]);
+
+  const videos = await VideoTag.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { tag, ...videos },
+        "Tag videos fetched successfully"
+      )
+    );
+});
+
+/**
+ * Gets the tags used the most on public videos over a recent period.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the trending tags.
+ */
+const getTrendingTags = asyncHandler(async (req, res) => {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  const tags = await VideoTag.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    // Only count tags of videos that are public and ready
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          {
+            $match: {
+              status: "public",
+              processingStatus: { $nin: ["processing", "failed"] },
+            },
+          },
+          { $project: { _id: 1 } },
+        ],
+      },
+    },
+    { $unwind: "$video" },
+    { $group: { _id: "$tag", videosCount: { $sum: 1 } } },
+    { $sort: { videosCount: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: "tags",
+        localField: "_id",
+        foreignField: "_id",
+        as: "tag",
+      },
+    },
+    { $unwind: "$tag" },
+    {
+      $project: {
+        _id: "$tag._id",
+        name: "$tag.name",
+        slug: "$tag.slug",
+        videosCount: 1,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { days, tags }, "Trending tags fetched successfully")
+    );
+});
+
+export { getTagVideos, getTrendingTags };
@@ -2,31 +2,39 @@ import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { User } from "../models/user.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { Session } from "../models/session.model.js";
+import { AuthToken } from "../models/authToken.model.js";
+import { uploadFile, deleteFile } from "../utils/storage.js";
+import { sendMail } from "../utils/mailer.js";
 import {
-  uploadOnCloudinary,
-  deleteImageFromCloudinary,
-} from "../utils/cloudinary.js";
+  getLockoutRemainingMs,
+  recordFailedLogin,
+  clearFailedLogins,
+} from "../utils/loginLockout.js";
+import {
+  EMAIL_VERIFICATION_TOKEN_TTL_MS,
+  PASSWORD_RESET_TOKEN_TTL_MS,
+} from "../constants.js";
 import jwt from "jsonwebtoken";
-import mongoose from "mongoose";
 
 /**
- * Generates access and refresh tokens for a user.
- * @param {string} userId - The ID of the user.
+ * Generates access and refresh tokens for a session and stores the hash of the refresh token on it.
+ * @param {Object} user - The user document.
+ * @param {Object} session - The session document (new or existing).
  * @returns {Object} An object containing the access and refresh tokens.
  */
-const generateAccessAndRefreshToken = async (userId) => {
+const generateAccessAndRefreshToken = async (user, session) => {
   try {
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    // Generate access and refresh tokens
-    const accessToken = await user.generateAccessToken();
-    const refreshToken = await user.generateRefreshToken();
+    // Generate access and refresh tokens bound to the session
+    const accessToken = await user.generateAccessToken(session._id);
+    const refreshToken = await user.generateRefreshToken(session._id);
 
-    // Save the refresh token in the database
-    user.refreshToken = refreshToken;
-    // Save the user in the database without validating the password field
-    await user.save({ validateBeforeSave: false });
+    // Save only the hash of the refresh token, along with its expiry
+    session.tokenHash = Session.hashToken(refreshToken);
+    session.expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+    session.lastUsedAt = new Date();
+    await session.save();
 
     return { accessToken, refreshToken };
   } catch (e) {
@@ -34,6 +42,60 @@ const generateAccessAndRefreshToken = async (userId) => {
   }
 };
 
+/**
+ * Gets the device details of a request that are stored on a session.
+ * @param {Object} req - The request object.
+ * @returns {Object} An object containing the user agent and IP address.
+ */
+const getSessionDetails = (req) => ({
+  userAgent: req.get("user-agent") || "",
+  ip: req.ip || "",
+});
+
+/**
+ * Throws a too many requests error for a locked account, telling the client when to retry.
+ * @param {Object} res - The response object.
+ * @param {number} lockMs - The remaining lock time in milliseconds.
+ */
+const throwAccountLocked = (res, lockMs) => {
+  const retryAfterSeconds = Math.ceil(lockMs / 1000);
+  res.set("Retry-After", retryAfterSeconds);
+  throw new ApiError(
+    429,
+    `Too many failed login attempts, please try again in ${Math.ceil(retryAfterSeconds / 60)} minute(s)`
+  );
+};
+
+/**
+ * Builds a link to a page of the frontend application.
+ * @param {string} pathname - The path of the page.
+ * @param {string} token - The token to pass to the page.
+ * @returns {string} The link to the page.
+ */
+const buildClientLink = (pathname, token) => {
+  const clientUrl = process.env.CLIENT_URL || process.env.CORS_ORIGIN || "";
+  return `${clientUrl}${pathname}?token=${encodeURIComponent(token)}`;
+};
+
+/**
+ * Emails a new email verification link to a user.
+ * @param {Object} user - The user document.
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await AuthToken.issue(
+    user,
+    "emailVerification",
+    EMAIL_VERIFICATION_TOKEN_TTL_MS
+  );
+  const link = buildClientLink("/verify-email", token);
+
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.fullName},\n\nPlease verify your email address by opening this link within 24 hours:\n${link}\n\nIf you did not create an account, you can ignore this email.`,
+  });
+};
+
 /**
  * Registers a new user.
  * @param {Object} req - The request object.
@@ -41,16 +103,9 @@ const generateAccessAndRefreshToken = async (userId) => {
  * @returns {Object} The response object with the created user data.
  */
 const registerUser = asyncHandler(async (req, res) => {
-  // Get the user data from the request body
+  // Get the user data from the request body, already checked by the register schema
   const { username, email, password, fullName } = req.body;
 
-  // Check if all required fields are provided
-  if (
-    [fullName, email, username, password].some((field) => field?.trim() === "")
-  ) {
-    throw new ApiError(400, "All fields are required");
-  }
-
   // Check if the user already exists in the database
   const existedUser = await User.findOne({
     $or: [{ email }, { username }],
@@ -75,9 +130,9 @@ const registerUser = asyncHandler(async (req, res) => {
       ? req.files.coverImage[0].path
       : undefined;
 
-  // Upload the avatar and cover image to cloudinary
-  const avatar = await uploadOnCloudinary(avatarLocalPath, "avatars");
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath, "coverImages");
+  // Upload the avatar and cover image to the storage
+  const avatar = await uploadFile(avatarLocalPath, "avatars");
+  const coverImage = await uploadFile(coverImageLocalPath, "coverImages");
 
   // Create a new user in the database
   const user = await User.create({
@@ -86,9 +141,21 @@ const registerUser = asyncHandler(async (req, res) => {
     fullName,
     password,
     avatar: avatar?.url || "",
+    avatarId: avatar?.assetId,
     coverImage: coverImage?.url || "",
+    coverImageId: coverImage?.assetId,
   });
 
+  // Create the built-in "Watch later" playlist of the user
+  await Playlist.ensureWatchLater(user._id);
+
+  // Send the verification email, without failing the registration if it cannot be sent
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    console.error("Error sending verification email: ", error);
+  }
+
   // Remove password and refresh token from the response
   const createdUser = await User.findById(user._id).select(
     "-password -refreshToken"
@@ -111,13 +178,9 @@ const registerUser = asyncHandler(async (req, res) => {
  * @returns {Object} The response object with the logged-in user data and tokens.
  */
 const loginUser = asyncHandler(async (req, res) => {
-  // Get user data from request body
+  // Get user data from request body, already checked by the login schema
   const { email, username, password } = req.body;
 
-  // Check if all fields are provided
-  if ((!username && !email) || !password) {
-    throw new ApiError(400, "Username or email and password are required");
-  }
   // Check if user exists in the database
   const user = await User.findOne({
     $or: [{ username }, { email }],
@@ -128,17 +191,38 @@ const loginUser = asyncHandler(async (req, res) => {
     throw new ApiError(404, "User does not exist");
   }
 
+  // Locked accounts cannot log in, even with the correct password
+  const remainingLockMs = await getLockoutRemainingMs(user._id);
+  if (remainingLockMs > 0) {
+    throwAccountLocked(res, remainingLockMs);
+  }
+
   // Check if password is correct
   const isPasswordCorrect = await user.verifyPassword(password);
 
-  // If password is incorrect then throw an error
+  // If password is incorrect then record the failure and throw an error
   if (!isPasswordCorrect) {
+    const lockMs = await recordFailedLogin(user._id);
+    if (lockMs > 0) {
+      throwAccountLocked(res, lockMs);
+    }
     throw new ApiError(401, "Incorrect password");
   }
 
-  // Generate access and refresh tokens
+  // Forget the previous failures once the password is correct
+  await clearFailedLogins(user._id);
+
+  // Banned and suspended accounts cannot log in
+  const restriction = user.getAccessRestriction();
+  if (restriction) {
+    throw new ApiError(403, restriction);
+  }
+
+  // Start a new session for this device and generate its tokens
+  const session = new Session({ user: user._id, ...getSessionDetails(req) });
   const { accessToken, refreshToken } = await generateAccessAndRefreshToken(
-    user._id
+    user,
+    session
   );
 
   // Get the user from the database without password and refresh token
@@ -170,15 +254,11 @@ const loginUser = asyncHandler(async (req, res) => {
  * @returns {Object} The response object confirming the logout.
  */
 const logoutUser = asyncHandler(async (req, res) => {
-  // Find the user by ID and update the refresh token to undefined
-  const user = await User.findByIdAndUpdate(req.user._id, {
-    $set: { refreshToken: undefined },
-  });
-
-  // If user is not found then throw an error
-  if (!user) {
-    throw new ApiError(500, "Something went wrong while logging out");
-  }
+  // Revoke the session the request was made with
+  await Session.updateOne(
+    { _id: req.sessionId, user: req.user._id, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: "logout" } }
+  );
 
   // Clear the cookies containing the access and refresh tokens
   const options = { httpOnly: true, secure: true };
@@ -227,17 +307,50 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
       throw new ApiError(401, "User not found");
     }
 
-    // If refresh token does not match then throw an error
-    if (incomingRefreshToken !== user.refreshToken) {
+    // Banned and suspended accounts cannot refresh their tokens
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      throw new ApiError(403, restriction);
+    }
+
+    // Find the active session the refresh token was issued for
+    const session = await Session.findOne({
+      _id: decodedToken.sessionId,
+      user: user._id,
+      revokedAt: null,
+    });
+
+    // If the session does not exist or was revoked then throw an error
+    if (!session) {
+      throw new ApiError(401, "Refresh token is expired or used");
+    }
+
+    // A valid token that is not the current one of its session was already rotated,
+    // so it has been replayed: revoke the whole session (token family)
+    if (Session.hashToken(incomingRefreshToken) !== session.tokenHash) {
+      await Session.updateOne(
+        { _id: session._id },
+        { $set: { revokedAt: new Date(), revokedReason: "reuse" } }
+      );
+      throw new ApiError(401, "Refresh token reuse detected");
+    }
+
+    // Claim the current token atomically so that concurrent refreshes cannot both rotate it
+    const claimedSession = await Session.findOneAndUpdate(
+      { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+      { $set: { tokenHash: null, ...getSessionDetails(req) } },
+      { new: true }
+    );
+    if (!claimedSession) {
       throw new ApiError(401, "Refresh token is expired or used");
     }
 
     // Set the options for the cookies
     const options = { httpOnly: true, secure: true };
 
-    // Generate new access and refresh tokens
+    // Rotate the refresh token and generate a new access token
     const { accessToken, refreshToken: newRefreshToken } =
-      await generateAccessAndRefreshToken(user._id);
+      await generateAccessAndRefreshToken(user, claimedSession);
 
     // Return response with new access and refresh tokens
     return res
@@ -252,6 +365,10 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
         )
       );
   } catch (error) {
+    // Keep the status of errors raised above, such as a 403 for banned accounts
+    if (error instanceof ApiError) {
+      throw error;
+    }
     // If an error occurs, throw an unauthorized error with the error message
     throw new ApiError(401, error?.message || "Invalid refresh token");
   }
@@ -264,19 +381,9 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
  * @returns {Object} The response object with a success message.
  */
 const currentPasswordChange = asyncHandler(async (req, res) => {
-  // Get the old and new passwords from the request body
+  // Get the old and new passwords from the request body, already checked by the change password schema
   const { oldPassword, newPassword } = req.body;
 
-  // If old password or new password is not found, throw an error
-  if (!oldPassword || !newPassword) {
-    throw new ApiError(400, "Old password and new password are required");
-  }
-
-  // If old password and new password are the same, throw an error
-  if (oldPassword === newPassword) {
-    throw new ApiError(400, "Old password and new password are the same");
-  }
-
   // Find the user by ID from the request user
   const user = await User.findById(req.user?._id);
 
@@ -293,12 +400,137 @@ const currentPasswordChange = asyncHandler(async (req, res) => {
   // Save the updated user to the database
   await user.save({ validateBeforeSave: false });
 
+  // End every other session, keeping the current device signed in
+  await Session.revokeForUser(user._id, "password change", req.sessionId);
+
   // Return response with success message
   return res
     .status(200)
     .json(new ApiResponse(200, {}, "Password changed successfully"));
 });
 
+/**
+ * Sends a new email verification link to the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with a success message.
+ */
+const requestEmailVerification = asyncHandler(async (req, res) => {
+  // If the email is already verified, throw an error
+  if (req.user.isEmailVerified) {
+    throw new ApiError(400, "Email is already verified");
+  }
+
+  await sendVerificationEmail(req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent successfully"));
+});
+
+/**
+ * Verifies the email address of a user with the token sent by email.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with a success message.
+ */
+const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.body;
+
+  // Use the token, which fails if it is invalid, expired or already used
+  const authToken = await AuthToken.consume(token, "emailVerification");
+  if (!authToken) {
+    throw new ApiError(400, "Verification link is invalid or has expired");
+  }
+
+  // Only verify the address the token was sent to, in case the email changed since
+  const user = await User.findOneAndUpdate(
+    { _id: authToken.user, email: authToken.email },
+    { $set: { isEmailVerified: true } },
+    { new: true }
+  );
+  if (!user) {
+    throw new ApiError(400, "Verification link is invalid or has expired");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Email verified successfully"));
+});
+
+/**
+ * Sends a password reset link to the given email address if an account uses it.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with a success message.
+ */
+const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+
+  // Banned accounts cannot reset their password
+  if (user && user.accountStatus !== "banned") {
+    const token = await AuthToken.issue(
+      user,
+      "passwordReset",
+      PASSWORD_RESET_TOKEN_TTL_MS
+    );
+    const link = buildClientLink("/reset-password", token);
+
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text: `Hi ${user.fullName},\n\nYou can choose a new password by opening this link within 1 hour:\n${link}\n\nIf you did not ask to reset your password, you can ignore this email.`,
+    });
+  }
+
+  // Respond the same way whether or not the account exists, so that emails cannot be enumerated
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        {},
+        "If an account uses this email, a password reset link has been sent"
+      )
+    );
+});
+
+/**
+ * Resets the password of a user with the token sent by email and ends all of their sessions.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with a success message.
+ */
+const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+
+  // Use the token, which fails if it is invalid, expired or already used
+  const authToken = await AuthToken.consume(token, "passwordReset");
+  const user = authToken && (await User.findById(authToken.user));
+  if (!user) {
+    throw new ApiError(400, "Reset link is invalid or has expired");
+  }
+
+  // Update the password with the new password
+  user.password = newPassword;
+  // Receiving the email also proves the user owns the address
+  if (user.email === authToken.email) {
+    user.isEmailVerified = true;
+  }
+  await user.save({ validateBeforeSave: false });
+
+  // End every session, since the old password may have been compromised
+  await Session.revokeForUser(user._id, "password reset");
+  // The new password also lifts a lockout caused by failed logins
+  await clearFailedLogins(user._id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password reset successfully"));
+});
+
 /**
  * Gets the current user's information.
  * @param {Object} req - The request object.
@@ -318,21 +550,29 @@ const getCurrentUser = asyncHandler(async (req, res) => {
  * @returns {Object} The response object with the updated user information.
  */
 const updateAccountDetails = asyncHandler(async (req, res) => {
-  // Get the full name and email from the request body
+  // Get the full name and email from the request body, at least one of them is provided
   const { fullName, email } = req.body;
 
-  // If full name or email is missing, throw an error
-  if (!fullName || !email) {
-    throw new ApiError(400, "All fields are required");
-  }
+  // A new email address has to be verified again
+  const isEmailChanged = email !== undefined && email !== req.user.email;
 
-  // Find the user by ID and update the full name and email fields and remove the password and refresh token fields from the response
+  // Find the user by ID and update the provided fields and remove the password and refresh token fields from the response
   const user = await User.findByIdAndUpdate(
     req.user?._id,
-    { $set: { fullName, email } },
+    {
+      $set: {
+        ...(fullName !== undefined ? { fullName } : {}),
+        ...(isEmailChanged ? { email, isEmailVerified: false } : {}),
+      },
+    },
     { new: true }
   ).select("-password -refreshToken");
 
+  // Send a verification link to the new email address
+  if (isEmailChanged) {
+    await sendVerificationEmail(user);
+  }
+
   // Return response with success message and updated user information
   return res
     .status(200)
@@ -346,17 +586,17 @@ const updateAccountDetails = asyncHandler(async (req, res) => {
  * @returns {Object} The response object with the updated user information.
  */
 const updateUserAvatar = asyncHandler(async (req, res) => {
-  // Get the avatar local path and old avatar URL from the request file
+  // Get the avatar local path from the request file and the asset ID of the old avatar
   const avatarLocalPath = req.file?.path;
-  const oldAvatar = req.user?.avatar;
+  const oldAvatarId = req.user?.avatarId;
 
   // If avatar is not found, throw an error
   if (!avatarLocalPath) {
     throw new ApiError(400, "Avatar is required");
   }
 
-  // Upload the avatar to Cloudinary and get the URL
-  const avatar = await uploadOnCloudinary(avatarLocalPath, "avatars");
+  // Upload the avatar to the storage and get the URL
+  const avatar = await uploadFile(avatarLocalPath, "avatars");
 
   // If avatar URL is not found, throw an error
   if (!avatar?.url) {
@@ -366,14 +606,12 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
   // Find the user by ID and update the avatar field and remove the password and refresh token fields from the response
   const user = await User.findByIdAndUpdate(
     req.user?._id,
-    { $set: { avatar: avatar.url } },
+    { $set: { avatar: avatar.url, avatarId: avatar.assetId } },
     { new: true }
   ).select("-password -refreshToken");
 
-  // Remove the old avatar from Cloudinary
-  if (oldAvatar) {
-    await deleteImageFromCloudinary(oldAvatar);
-  }
+  // Remove the old avatar from the storage
+  await deleteFile(oldAvatarId);
 
   // Return response with success message and updated user information
   return res
@@ -388,17 +626,17 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
  * @returns {Object} The response object with the updated user information.
  */
 const updateUserCoverImage = asyncHandler(async (req, res) => {
-  // Get the cover image path and old cover image from the request file
+  // Get the cover image path from the request file and the asset ID of the old cover image
   const coverImageLocalPath = req.file?.path;
-  const oldCoverImage = req.user?.coverImage;
+  const oldCoverImageId = req.user?.coverImageId;
 
   // If cover image is not found, throw an error
   if (!coverImageLocalPath) {
     throw new ApiError(400, "Cover image is required");
   }
 
-  // Upload the cover image to Cloudinary and get the URL
-  const coverImage = await uploadOnCloudinary(coverImageLocalPath, "coverImages");
+  // Upload the cover image to the storage and get the URL
+  const coverImage = await uploadFile(coverImageLocalPath, "coverImages");
 
   // If cover image URL is not found, throw an error
   if (!coverImage?.url) {
@@ -411,14 +649,14 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
   // Find the user by ID and update the cover image field and remove the password and refresh token fields from the response
   const user = await User.findByIdAndUpdate(
     req.user?._id,
-    { $set: { coverImage: coverImage.url } },
+    {
+      $set: { coverImage: coverImage.url, coverImageId: coverImage.assetId },
+    },
     { new: true }
   ).select("-password -refreshToken");
 
-  // Remove the old cover image from Cloudinary
-  if (oldCoverImage) {
-    await deleteImageFromCloudinary(oldCoverImage);
-  }
+  // Remove the old cover image from the storage
+  await deleteFile(oldCoverImageId);
 
   // Return response with success message and updated user information
   return res
@@ -426,6 +664,30 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
     .json(new ApiResponse(200, user, "Cover image updated successfully"));
 });
 
+/**
+ * Promotes the logged-in viewer to a creator so that they can publish videos.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated user information.
+ */
+const becomeCreator = asyncHandler(async (req, res) => {
+  // Only viewers can be promoted, creators and admins already can publish
+  if (req.user.role !== "viewer") {
+    throw new ApiError(400, `User is already a ${req.user.role}`);
+  }
+
+  // Find the user by ID and update the role and remove the password and refresh token fields from the response
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: { role: "creator" } },
+    { new: true }
+  ).select("-password -refreshToken");
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User promoted to creator successfully"));
+});
+
 // TODO: Test that the getUserChannelProfile function works as expected (Postman)
 /**
  * Gets the channel profile of a user.
@@ -436,27 +698,25 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
 const getUserChannelProfile = asyncHandler(async (req, res) => {
   // Get the username from the request parameters
   const { username } = req.params;
-  // If username is not found, throw an error
-  if (!username?.trim()) {
-    throw new ApiError(400, "Username is required");
-  }
 
   const userChannel = await User.aggregate([
-    { $match: { username: username?.toLowerCase() } },
+    { $match: { username } },
     {
+      // Subscriptions where this user is the channel are its subscribers
       $lookup: {
         from: "subscriptions",
         localField: "_id",
-        foreignField: "subscriber",
+        foreignField: "channel",
         as: "subscribers",
       },
     },
     {
+      // Subscriptions where this user is the subscriber are the channels it follows
       $lookup: {
         from: "subscriptions",
         localField: "_id",
-        foreignField: "channel",
-        as: "subscribeTo",
+        foreignField: "subscriber",
+        as: "subscribedTo",
       },
     },
     {
@@ -465,15 +725,12 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
           $size: "$subscribers",
         },
         channelsSubscribedToCount: {
-          $size: "$subscribeTo",
-        },
-        isSubscribed: {
-          $cond: {
-            if: { $in: [req.user?._id, "$subscribers.subscriber"] },
-            then: true,
-            else: false,
-          },
+          $size: "$subscribedTo",
         },
+        // Only known for logged-in users, anonymous visitors get null
+        isSubscribed: req.user
+          ? { $in: [req.user._id, "$subscribers.subscriber"] }
+          : null,
       },
     },
     {
@@ -482,7 +739,6 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
         username: 1,
         avatar: 1,
         coverImage: 1,
-        email: 1,
         subscribersCount: 1,
         channelsSubscribedToCount: 1,
         isSubscribed: 1,
@@ -490,8 +746,6 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     },
   ]);
 
-  console.log(userChannel);
-
   if (!userChannel?.length) {
     throw new ApiError(404, "Channel not found");
   }
@@ -507,53 +761,20 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
     );
 });
 
-// TODO: Test that the getUserWatchHistory function works as expected (Postman)
-/**
- * Gets the watch history of a user.
- * @param {Object} req - The request object.
- * @param {Object} res - The response object.
- * @returns {Object} The response object with the watch history information.
- */
-const getUserWatchHistory = asyncHandler(async (req, res) => {
-  const user = await User.aggregate([
-    { $match: { _id: new mongoose.Types.ObjectId(req.user?._id) } },
-    {
-      $lookup: {
-        from: "watchhistories",
-        localField: "_id",
-        foreignField: "user",
-        as: "watchHistory",
-      },
-    },
-    {
-      $lookup: {
-        from: "watchhistories",
-        localField: "_id",
-        foreignField: "owner",
-        as: "owner",
-      },
-    },
-  ]);
-
-  if (!user?.length) {
-    throw new ApiError(404, "User not found");
-  }
-
-  return res
-    .status(200)
-    .json(new ApiResponse(200, user[0].watchHistory, "Watch history fetched successfully"));
-});
-
 export {
   registerUser,
   loginUser,
   logoutUser,
   refreshAccessToken,
   currentPasswordChange,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
   getCurrentUser,
   updateAccountDetails,
   updateUserAvatar,
   updateUserCoverImage,
+  becomeCreator,
   getUserChannelProfile,
-  getUserWatchHistory,
 };
@@ -1,11 +1,72 @@
+import crypto from "crypto";
+import path from "path";
+import mongoose from "mongoose";
 import { Video } from "../models/video.model.js";
+import { LikeDislike } from "../models/likeDislike.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { View } from "../models/view.model.js";
+import { AnalyticsEvent } from "../models/analyticsEvent.model.js";
+import { Comment } from "../models/comment.model.js";
+import { Playlist } from "../models/playlist.model.js";
+import { VideoTag } from "../models/videoTag.model.js";
+import { Job } from "../models/job.model.js";
+import { CoWatch } from "../models/coWatch.model.js";
+import { TrendingSnapshot } from "../models/trendingSnapshot.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { uploadOnCloudinary } from "../utils/cloudinary.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { parseTags } from "../utils/tags.js";
+import {
+  uploadFile,
+  deleteFile,
+  getSignedUrl,
+  getLocalFilePath,
+  getAssetIdFromUrl,
+} from "../utils/storage.js";
+import { moveFile } from "../utils/files.js";
+import { enqueueJob } from "../utils/jobQueue.js";
+import { isFfmpegAvailable } from "../utils/ffmpeg.js";
+import {
+  VIDEO_PROCESSING_JOB,
+  getProcessingDirectory,
+  cancelVideoProcessing,
+} from "../jobs/videoProcessing.job.js";
+import {
+  VIEW_DEDUP_WINDOW_MINUTES,
+  VIEW_MIN_WATCH_SECONDS,
+  VIDEO_STREAM_URL_TTL_SECONDS,
+  RELATED_SCORE_WEIGHTS,
+  TRENDING_SIZE,
+  TRENDING_WINDOW_HOURS,
+} from "../constants.js";
+
+// Fields that the video listing can be sorted by
+const SORTABLE_VIDEO_FIELDS = ["createdAt", "views", "duration", "title"];
+
+/**
+ * Finds a video by ID and ensures that it belongs to the given user.
+ * @param {string} videoId - The ID of the video.
+ * @param {string} userId - The ID of the user who must own the video.
+ * @returns {Object} The video document.
+ */
+const findOwnedVideo = async (videoId, userId) => {
+  // Find the video by ID
+  const video = await Video.findById(videoId);
+  if (!video) {
+    throw new ApiError(404, "Video not found.");
+  }
+
+  // Only the owner of the video is allowed to modify it
+  if (!video.owner?.equals(userId)) {
+    throw new ApiError(403, "You are not allowed to modify this video.");
+  }
+
+  return video;
+};
 
 /**
- * Publishes a new video.
+ * Publishes a new video. The files are stored by a background job and the video stays in processing until it is done.
  * @param {Object} req - The request object.
  * @param {Object} res - The response object.
  * @returns {Object} The response object with the published video.
@@ -13,10 +74,8 @@ import { uploadOnCloudinary } from "../utils/cloudinary.js";
 const publishVideo = asyncHandler(async (req, res) => {
   const { title, description, tags, category, status } = req.body;
 
-  // Check if all required fields are present
-  if (!title) {
-    throw new ApiError(400, "Title is required.");
-  }
+  // Parse the tags, which arrive as a comma separated string from multipart forms
+  const parsedTags = parseTags(tags);
 
   // Check if the video already exists in the database
   const existedVideo = await Video.findOne({ title });
@@ -24,7 +83,7 @@ const publishVideo = asyncHandler(async (req, res) => {
     throw new ApiError(409, "Video with the same title already exists.");
   }
 
-  // Check if the video and thumbnail files are present
+  // Check if the video file is present, the thumbnail is generated from the video when missing
   const videoFilePath =
     req.files &&
     Array.isArray(req.files?.videoFile) &&
@@ -38,32 +97,28 @@ const publishVideo = asyncHandler(async (req, res) => {
       ? req.files.thumbnail[0].path
       : undefined;
 
-  if (!videoFilePath || !thumbnailPath) {
-    throw new ApiError(400, "Video and thumbnail files are required.");
+  if (!videoFilePath) {
+    throw new ApiError(400, "Video file is required.");
   }
 
-  // Upload the video and thumbnail files to cloudinary
-  const videoFile = await uploadOnCloudinary(videoFilePath, "videos");
-  const thumbnailFile = await uploadOnCloudinary(thumbnailPath, "thumbnails");
-
-  console.log(videoFile, thumbnailFile);
+  // Without FFmpeg the thumbnail cannot be generated, so it must be uploaded
+  if (!thumbnailPath && !isFfmpegAvailable()) {
+    throw new ApiError(400, "Thumbnail is required.");
+  }
 
-  // Ensure default values for tags and category
-  const sanitizedTags = tags && tags.length > 0 ? tags : undefined;
-  const sanitizedCategory = category && category.trim() ? category : undefined;
+  // Ensure default values for category
+  const sanitizedCategory = category || undefined;
 
-  // Create a new video in the database
+  // Create a new video in the database, hidden from other users until it is processed
   const newVideo = await Video.create({
     title,
     description: description || "",
 
-    videoFile: videoFile?.url || "",
-    thumbnail: thumbnailFile?.url || "",
-
-    tags: sanitizedTags,
+    tags: parsedTags,
     category: sanitizedCategory,
-    duration: videoFile?.duration || 0,
+    duration: 0,
     status,
+    processingStatus: "processing",
 
     owner: req.user._id, // Assuming req.user contains the authenticated user's information
   });
@@ -72,22 +127,686 @@ const publishVideo = asyncHandler(async (req, res) => {
     throw new ApiError(500, "Failed to publish video.");
   }
 
-  // Return the newly created video in the response
+  // Associate the video with its normalized tags
+  await VideoTag.syncForVideo(newVideo._id, parsedTags);
+
+  // Keep the uploaded files after the request ends, until the processing job is done with them
+  const processingDirectory = getProcessingDirectory();
+  const payload = {
+    videoPath: path.join(
+      processingDirectory,
+      `${newVideo._id}-video${path.extname(videoFilePath)}`
+    ),
+    thumbnailPath:
+      thumbnailPath &&
+      path.join(
+        processingDirectory,
+        `${newVideo._id}-thumbnail${path.extname(thumbnailPath)}`
+      ),
+    generatedThumbnailPath: path.join(
+      processingDirectory,
+      `${newVideo._id}-generated-thumbnail.jpg`
+    ),
+  };
+  await moveFile(videoFilePath, payload.videoPath);
+  if (thumbnailPath) {
+    await moveFile(thumbnailPath, payload.thumbnailPath);
+  }
+
+  // Process the files in the background so that the request does not wait for the upload to the storage
+  const job = await enqueueJob(VIDEO_PROCESSING_JOB, payload, {
+    video: newVideo._id,
+  });
+
+  // Return the newly created video in the response, with the job to poll for its processing
   return res
-    .status(201)
-    .json(new ApiResponse(200, newVideo, "Video published successfully"));
+    .status(202)
+    .json(
+      new ApiResponse(
+        202,
+        { ...newVideo.toJSON(), processingJobId: job._id },
+        "Video published successfully, it will be available once processed"
+      )
+    );
 });
 
+/**
+ * Gets a paginated list of videos, optionally searched, filtered and sorted.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the paginated videos.
+ */
 const getAllVideos = asyncHandler(async (req, res) => {
-  // Get all videos from the database
-  const videos = await Video.find();
+  const {
+    query,
+    category,
+    tags,
+    owner,
+    sortBy,
+    sortType = "desc",
+    minDuration,
+    maxDuration,
+    startDate,
+    endDate,
+  } = req.query;
+
+  const match = {};
+
+  // Full-text search over title, description and tags ($text must be in the first stage)
+  if (query) {
+    match.$text = { $search: query };
+  }
+
+  if (category) {
+    match.category = category;
+  }
+
+  // Tags can be passed as a comma separated string or as repeated query params
+  const tagList = parseTags(tags);
+  if (tagList.length) {
+    match.tags = { $all: tagList };
+  }
+
+  if (owner) {
+    match.owner = new mongoose.Types.ObjectId(owner);
+  }
+
+  if (minDuration || maxDuration) {
+    match.duration = {};
+    if (minDuration) match.duration.$gte = minDuration;
+    if (maxDuration) match.duration.$lte = maxDuration;
+  }
+
+  if (startDate || endDate) {
+    match.createdAt = {};
+    if (startDate) match.createdAt.$gte = new Date(startDate);
+    if (endDate) match.createdAt.$lte = new Date(endDate);
+  }
+
+  // Only public videos that are ready are listed, except for the ones owned by the caller
+  match.$or = [
+    { status: "public", processingStatus: { $nin: ["processing", "failed"] } },
+  ];
+  if (req.user?._id) {
+    match.$or.push({ owner: req.user._id });
+  }
+
+  // Sort by the requested field, by text relevance when searching, or by newest first
+  let sort;
+  if (SORTABLE_VIDEO_FIELDS.includes(sortBy)) {
+    sort = { [sortBy]: sortType === "asc" ? 1 : -1 };
+  } else if (match.$text) {
+    sort = { score: { $meta: "textScore" } };
+  } else {
+    sort = { createdAt: -1 };
+  }
+
+  const aggregate = Video.aggregate([
+    { $match: match },
+    ...(match.$text ? [{ $addFields: { score: { $meta: "textScore" } } }] : []),
+    { $sort: sort },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+      },
+    },
+    {
+      $addFields: {
+        owner: { $first: "$owner" },
+        commentsCount: { $size: { $ifNull: ["$comments", []] } },
+      },
+    },
+    {
+      $project: {
+        comments: 0,
+        likesDislikes: 0,
+        videoFile: 0,
+        videoFileId: 0,
+      },
+    },
+  ]);
+
+  // Paginate the results with the aggregate paginate plugin
+  const videos = await Video.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
 
-  if (!videos || videos.length === 0) {
-    throw new ApiError(404, "No videos found.");
+  // Return the paginated list of videos in the response
+  return res
+    .status(200)
+    .json(new ApiResponse(200, videos, "Videos fetched successfully"));
+});
+
+/**
+ * Gets a single video by its ID.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the video.
+ */
+const getVideoById = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  // Find the video and attach the public details of its owner
+  const video = await Video.findById(videoId).populate(
+    "owner",
+    "username fullName avatar"
+  );
+
+  // Private videos and videos that are not ready are only visible to their owner
+  if (!video?.isVisibleTo(req.user?._id)) {
+    throw new ApiError(404, "Video not found.");
+  }
+
+  // Attach the like/dislike counts and the reaction of the logged-in user
+  const reactions = await LikeDislike.getSummary(
+    "video",
+    video._id,
+    req.user?._id
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...video.toJSON(),
+        ...reactions,
+        commentsCount: video.comments.length,
+      },
+      "Video fetched successfully"
+    )
+  );
+});
+
+/**
+ * Updates the metadata of a video owned by the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated video.
+ */
+const updateVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { title, description, tags, category, status } = req.body;
+
+  const video = await findOwnedVideo(videoId, req.user._id);
+
+  // Only update the fields that were provided
+  if (title !== undefined) video.title = title;
+  if (description !== undefined) video.description = description;
+  if (tags !== undefined) video.tags = parseTags(tags);
+  if (category !== undefined) video.category = category;
+  if (status !== undefined) video.status = status;
+
+  // Save the video, validating fields such as status against the schema
+  const updatedVideo = await video.save();
+
+  // Keep the tag associations in sync with the new tags
+  if (tags !== undefined) {
+    await VideoTag.syncForVideo(updatedVideo._id, updatedVideo.tags);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedVideo, "Video updated successfully"));
+});
+
+/**
+ * Replaces the thumbnail of a video owned by the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated video.
+ */
+const updateVideoThumbnail = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const thumbnailLocalPath = req.file?.path;
+
+  // If thumbnail is not found, throw an error
+  if (!thumbnailLocalPath) {
+    throw new ApiError(400, "Thumbnail is required.");
+  }
+
+  const video = await findOwnedVideo(videoId, req.user._id);
+  const oldThumbnailId = video.thumbnailId;
+
+  // Upload the new thumbnail to the storage
+  const thumbnail = await uploadFile(thumbnailLocalPath, "thumbnails");
+  if (!thumbnail?.url) {
+    throw new ApiError(
+      400,
+      "Something went wrong while uploading the thumbnail"
+    );
   }
 
-  // Return the list of videos in the response
-  return res.status(200).json(new ApiResponse(200, videos, "Videos fetched"));
+  video.thumbnail = thumbnail.url;
+  video.thumbnailId = thumbnail.assetId;
+  const updatedVideo = await video.save({ validateBeforeSave: false });
+
+  // Remove the old thumbnail from the storage
+  await deleteFile(oldThumbnailId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, updatedVideo, "Thumbnail updated successfully"));
+});
+
+/**
+ * Deletes a video owned by the logged-in user along with its assets and related documents.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object confirming the deletion.
+ */
+const deleteVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findOwnedVideo(videoId, req.user._id);
+
+  // Stop the processing of the video if it has not started yet
+  await cancelVideoProcessing(video._id);
+
+  // Delete the video and the documents that reference it
+  await Video.findByIdAndDelete(video._id);
+  const comments = await Comment.find({ video: video._id }).select("_id");
+  await Comment.deleteMany({ video: video._id });
+  await LikeDislike.deleteMany({
+    $or: [
+      { video: video._id },
+      { comment: { $in: comments.map((comment) => comment._id) } },
+    ],
+  });
+  await WatchHistory.deleteMany({ video: video._id });
+  await View.deleteMany({ video: video._id });
+  await VideoTag.deleteMany({ video: video._id });
+  await Playlist.updateMany(
+    { videos: video._id },
+    { $pull: { videos: video._id }, $inc: { __v: 1 } }
+  );
+
+  // Remove the video file and thumbnail from the storage
+  await deleteFile(video.videoFileId);
+  await deleteFile(video.thumbnailId);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video deleted successfully"));
+});
+
+/**
+ * Registers a view of a video, counting each viewer at most once per deduplication window.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with whether the view was counted and the view count.
+ */
+const registerVideoView = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { progress } = req.body;
+
+  // Private videos and videos that are not ready are only visible to their owner
+  const video = await Video.findById(videoId).select(
+    "owner status processingStatus duration views"
+  );
+  if (!video?.isVisibleTo(req.user?._id)) {
+    throw new ApiError(404, "Video not found.");
+  }
+
+  // A view only counts after a minimum amount of playback (capped at half of short videos)
+  const minWatchSeconds =
+    Number(process.env.VIEW_MIN_WATCH_SECONDS) || VIEW_MIN_WATCH_SECONDS;
+  const requiredProgress = video.duration
+    ? Math.min(minWatchSeconds, video.duration / 2)
+    : minWatchSeconds;
+
+  let counted = false;
+  if (progress >= requiredProgress) {
+    // Identify logged-in viewers by ID and anonymous ones by a hashed fingerprint
+    const viewerKey = req.user
+      ? View.getUserViewerKey(req.user._id)
+      : `anon:${crypto
+          .createHash("sha256")
+          .update(
+            [req.ip, req.get("user-agent"), req.body.fingerprint].join("|")
+          )
+          .digest("hex")}`;
+    const windowMinutes =
+      Number(process.env.VIEW_DEDUP_WINDOW_MINUTES) ||
+      VIEW_DEDUP_WINDOW_MINUTES;
+
+    counted = await View.register(
+      video._id,
+      viewerKey,
+      windowMinutes * 60 * 1000
+    );
+  }
+
+  // Increment the view count atomically so concurrent views are not lost
+  let views = video.views;
+  if (counted) {
+    const updatedVideo = await Video.findByIdAndUpdate(
+      video._id,
+      { $inc: { views: 1 } },
+      { new: true, projection: { views: 1 } }
+    );
+    views = updatedVideo.views;
+
+    // Record when the view happened, for the trending videos and the channel statistics
+    await AnalyticsEvent.create({
+      type: "view",
+      channel: video.owner,
+      video: video._id,
+    });
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { counted, views },
+        counted ? "View registered successfully" : "View not counted"
+      )
+    );
+});
+
+/**
+ * Gets the processing status of a video owned by the logged-in user and the progress of its latest processing job.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the processing status.
+ */
+const getVideoProcessingStatus = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await findOwnedVideo(videoId, req.user._id);
+
+  // Videos published before processing existed have no job
+  const job = await Job.findOne({ video: video._id })
+    .sort({ createdAt: -1 })
+    .select("status progress attempts maxAttempts runAt lastError");
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        processingStatus: video.processingStatus,
+        processingError: video.processingError,
+        job,
+      },
+      "Processing status fetched successfully"
+    )
+  );
+});
+
+/**
+ * Streams the file of a video the caller is allowed to watch.
+ * Files on the local disk are served with support for range requests, other files through a short-lived signed URL.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ */
+const streamVideo = asyncHandler(async (req, res, next) => {
+  const { videoId } = req.params;
+
+  const video = await Video.findById(videoId).select(
+    "owner status processingStatus videoFile videoFileId"
+  );
+
+  // Private videos and videos that are not ready are only visible to their owner
+  if (!video?.isVisibleTo(req.user?._id)) {
+    throw new ApiError(404, "Video not found.");
+  }
+
+  // The owner can see a video that is still processing, but it has no file yet
+  if (video.processingStatus !== "ready") {
+    throw new ApiError(409, "The video is not ready to be streamed yet.");
+  }
+
+  // Responses depend on the caller, so they must not be shared by caches
+  res.set("Cache-Control", "private, no-store");
+
+  // Videos published before files had asset IDs only have their URL, which is signed all the same
+  const videoFileId = video.videoFileId || getAssetIdFromUrl(video.videoFile);
+  if (!videoFileId) {
+    throw new ApiError(404, "Video file not found.");
+  }
+
+  // Serve local files directly, send handles Range headers and 206 Partial Content responses
+  const localFilePath = getLocalFilePath(videoFileId);
+  if (localFilePath) {
+    return res.sendFile(localFilePath, { acceptRanges: true }, (error) => {
+      if (error && !res.headersSent) next(error);
+    });
+  }
+
+  // Send the client to a URL of the remote file that expires shortly
+  const signedUrl = await getSignedUrl(
+    videoFileId,
+    VIDEO_STREAM_URL_TTL_SECONDS
+  );
+  return res.redirect(302, signedUrl);
+});
+
+/**
+ * Gets the videos to watch after a video, ranked by how many users watched both videos,
+ * shared tags, the same channel and the same category. Videos the user already watched are left out.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the related videos.
+ */
+const getRelatedVideos = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const userId = req.user?._id;
+  const { limit } = getPaginationOptions({ limit: req.query.limit || 20 });
+
+  const video = await Video.findById(videoId).select(
+    "owner status processingStatus tags category"
+  );
+
+  // Private videos and videos that are not ready are only visible to their owner
+  if (!video?.isVisibleTo(userId)) {
+    throw new ApiError(404, "Video not found.");
+  }
+
+  // Co-watch counts precomputed by the co-watch job, scaled so that the most watched pair scores 1
+  const coWatches = await CoWatch.find({ video: video._id })
+    .sort({ viewers: -1 })
+    .lean();
+  const coWatchIds = coWatches.map((coWatch) => coWatch.relatedVideo);
+  const maxViewers = coWatches[0]?.viewers || 1;
+  const coWatchScores = coWatches.map(
+    (coWatch) => coWatch.viewers / maxViewers
+  );
+
+  // Candidates share at least one signal with the video
+  const signals = [
+    { _id: { $in: coWatchIds } },
+    { owner: video.owner },
+    ...(video.tags.length ? [{ tags: { $in: video.tags } }] : []),
+    ...(video.category ? [{ category: video.category }] : []),
+  ];
+
+  const relatedVideos = await Video.aggregate([
+    {
+      $match: {
+        _id: { $ne: video._id },
+        status: "public",
+        processingStatus: { $nin: ["processing", "failed"] },
+        $or: signals,
+      },
+    },
+    // Leave out the videos the user already watched
+    ...(userId
+      ? [
+          {
+            $lookup: {
+              from: "watchhistories",
+              localField: "_id",
+              foreignField: "video",
+              as: "watch",
+              pipeline: [
+                { $match: { owner: userId } },
+                { $project: { _id: 1 } },
+              ],
+            },
+          },
+          { $match: { watch: { $size: 0 } } },
+        ]
+      : []),
+    {
+      $addFields: {
+        score: {
+          $add: [
+            {
+              $multiply: [
+                RELATED_SCORE_WEIGHTS.coWatch,
+                {
+                  $let: {
+                    vars: { index: { $indexOfArray: [coWatchIds, "$_id"] } },
+                    in: {
+                      $cond: [
+                        { $gte: ["$$index", 0] },
+                        { $arrayElemAt: [coWatchScores, "$$index"] },
+                        0,
+                      ],
+                    },
+                  },
+                },
+              ],
+            },
+            {
+              $multiply: [
+                RELATED_SCORE_WEIGHTS.tags,
+                {
+                  $divide: [
+                    {
+                      $size: {
+                        $setIntersection: ["$tags", { $literal: video.tags }],
+                      },
+                    },
+                    Math.max(video.tags.length, 1),
+                  ],
+                },
+              ],
+            },
+            {
+              $cond: [
+                { $eq: ["$owner", video.owner] },
+                RELATED_SCORE_WEIGHTS.channel,
+                0,
+              ],
+            },
+            video.category
+              ? {
+                  $cond: [
+                    { $eq: ["$category", { $literal: video.category }] },
+                    RELATED_SCORE_WEIGHTS.category,
+                    0,
+                  ],
+                }
+              : 0,
+          ],
+        },
+      },
+    },
+    { $sort: { score: -1, views: -1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+      },
+    },
+    { $addFields: { owner: { $first: "$owner" } } },
+    {
+      $project: {
+        comments: 0,
+        likesDislikes: 0,
+        videoFile: 0,
+        videoFileId: 0,
+        watch: 0,
+      },
+    },
+  ]);
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, relatedVideos, "Related videos fetched successfully")
+    );
+});
+
+/**
+ * Gets the trending videos of all categories or of one category, from the latest snapshot of the trending job.
+ * Each video comes with its rank and how many places it gained since the previous snapshot.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the trending videos.
+ */
+const getTrendingVideos = asyncHandler(async (req, res) => {
+  const category = req.query.category || "";
+  const { limit } = getPaginationOptions(
+    { limit: req.query.limit || 20 },
+    TRENDING_SIZE
+  );
+
+  const snapshot = await TrendingSnapshot.findOne({ category })
+    .sort({ computedAt: -1 })
+    .lean();
+  const entries = snapshot?.entries.slice(0, limit) || [];
+
+  // Attach the videos, which may have been deleted or hidden since the snapshot
+  const videos = await Video.find({
+    _id: { $in: entries.map((entry) => entry.video) },
+    status: "public",
+    processingStatus: { $nin: ["processing", "failed"] },
+  })
+    .select("-videoFile -videoFileId -comments -likesDislikes")
+    .populate("owner", "username fullName avatar")
+    .lean();
+  const videosById = new Map(videos.map((video) => [String(video._id), video]));
+
+  const trending = entries
+    .filter((entry) => videosById.has(String(entry.video)))
+    .map((entry) => ({
+      ...videosById.get(String(entry.video)),
+      rank: entry.rank,
+      // Positive when the video climbed, null when it was not trending before
+      rankChange:
+        entry.previousRank === null ? null : entry.previousRank - entry.rank,
+      trendingScore: entry.score,
+      recentViews: entry.views,
+      recentLikes: entry.likes,
+    }));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        category,
+        computedAt: snapshot?.computedAt || null,
+        windowHours: snapshot?.windowHours || TRENDING_WINDOW_HOURS,
+        videos: trending,
+      },
+      "Trending videos fetched successfully"
+    )
+  );
 });
 
-export { publishVideo, getAllVideos };
+export {
+  publishVideo,
+  getAllVideos,
+  getVideoById,
+  updateVideo,
+  updateVideoThumbnail,
+  deleteVideo,
+  registerVideoView,
+  getVideoProcessingStatus,
+  streamVideo,
+  getRelatedVideos,
+  getTrendingVideos,
+};
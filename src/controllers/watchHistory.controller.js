@@ -0,0 +1,258 @@
+import mongoose from "mongoose";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { Video } from "../models/video.model.js";
+import { User } from "../models/user.model.js";
+import { AnalyticsEvent } from "../models/analyticsEvent.model.js";
+import { View } from "../models/view.model.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getPaginationOptions } from "../utils/pagination.js";
+import { WATCH_COMPLETION_RATIO } from "../constants.js";
+
+/**
+ * Records the playback progress of a video for the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the watch history entry.
+ */
+const recordWatchProgress = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { progress } = req.body;
+
+  // Private videos and videos that are not ready are only visible to their owner
+  const video = await Video.findById(videoId).select(
+    "owner status processingStatus duration"
+  );
+  if (!video?.isVisibleTo(req.user._id)) {
+    throw new ApiError(404, "Video not found.");
+  }
+
+  // Nothing is recorded while the user has paused their watch history
+  if (req.user.watchHistoryPaused) {
+    return res
+      .status(200)
+      .json(new ApiResponse(200, null, "Watch history is paused"));
+  }
+
+  const newProgress = video.duration
+    ? Math.min(progress, video.duration)
+    : progress;
+
+  // The previous progress tells how much was watched since the last report
+  const previous = await WatchHistory.findOne({
+    video: video._id,
+    owner: req.user._id,
+  }).select("progress updatedAt");
+
+  // Create or update the entry through the unique (video, owner) index
+  const entry = await WatchHistory.findOneAndUpdate(
+    { video: video._id, owner: req.user._id },
+    { $set: { progress: newProgress } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  // The first report can only count the playback since the view of the user was registered
+  let countedSince = previous?.updatedAt;
+  if (!previous) {
+    const view = await View.findOne({
+      video: video._id,
+      viewerKey: View.getUserViewerKey(req.user._id),
+    }).select("updatedAt");
+    countedSince = view?.updatedAt;
+  }
+
+  // Count the playback since the previous report as watch time, at most the time that passed since then
+  const watchedSeconds = countedSince
+    ? Math.min(
+        newProgress - (previous?.progress || 0),
+        (Date.now() - countedSince.getTime()) / 1000
+      )
+    : 0;
+  if (watchedSeconds > 0) {
+    await AnalyticsEvent.create({
+      type: "watch",
+      channel: video.owner,
+      video: video._id,
+      value: watchedSeconds,
+    });
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, entry, "Watch progress recorded successfully"));
+});
+
+/**
+ * Gets the paginated watch history of the logged-in user, most recently watched first.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the watch history and resume positions.
+ */
+const getUserWatchHistory = asyncHandler(async (req, res) => {
+  const userId = new mongoose.Types.ObjectId(req.user._id);
+
+  const aggregate = WatchHistory.aggregate([
+    { $match: { owner: userId } },
+    { $sort: { updatedAt: -1 } },
+    {
+      $lookup: {
+        from: "videos",
+        localField: "video",
+        foreignField: "_id",
+        as: "video",
+        pipeline: [
+          // Private videos and videos that are not ready are only listed for their owner
+          {
+            $match: {
+              $or: [
+                {
+                  status: { $ne: "private" },
+                  processingStatus: { $nin: ["processing", "failed"] },
+                },
+                { owner: userId },
+              ],
+            },
+          },
+          {
+            $lookup: {
+              from: "users",
+              localField: "owner",
+              foreignField: "_id",
+              as: "owner",
+              pipeline: [{ $project: { username: 1, fullName: 1, avatar: 1 } }],
+            },
+          },
+          { $addFields: { owner: { $first: "$owner" } } },
+          // Video files are only reachable through the stream endpoint
+          { $project: { videoFile: 0, videoFileId: 0 } },
+        ],
+      },
+    },
+    // Drop entries whose video was deleted or is no longer visible
+    { $unwind: "$video" },
+    {
+      $addFields: {
+        // Finished videos start over instead of resuming at the end
+        resumePosition: {
+          $cond: {
+            if: {
+              $and: [
+                { $gt: ["$video.duration", 0] },
+                {
+                  $gte: [
+                    "$progress",
+                    {
+                      $multiply: ["$video.duration", WATCH_COMPLETION_RATIO],
+                    },
+                  ],
+                },
+              ],
+            },
+            then: 0,
+            else: "$progress",
+          },
+        },
+        watchedAt: "$updatedAt",
+      },
+    },
+    { $project: { owner: 0, __v: 0 } },
+  ]);
+
+  const history = await WatchHistory.aggregatePaginate(
+    aggregate,
+    getPaginationOptions(req.query)
+  );
+
+  // Map of video IDs to resume positions for the videos on this page
+  const resumePositions = Object.fromEntries(
+    history.docs.map((entry) => [entry.video._id, entry.resumePosition])
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { ...history, resumePositions, paused: req.user.watchHistoryPaused },
+        "Watch history fetched successfully"
+      )
+    );
+});
+
+/**
+ * Removes a single video from the watch history of the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object confirming the removal.
+ */
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const entry = await WatchHistory.findOneAndDelete({
+    video: videoId,
+    owner: req.user._id,
+  });
+
+  if (!entry) {
+    throw new ApiError(404, "Video not found in watch history.");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video removed from watch history"));
+});
+
+/**
+ * Clears the whole watch history of the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the number of removed entries.
+ */
+const clearWatchHistory = asyncHandler(async (req, res) => {
+  const { deletedCount } = await WatchHistory.deleteMany({
+    owner: req.user._id,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { deletedCount },
+        "Watch history cleared successfully"
+      )
+    );
+});
+
+/**
+ * Pauses or resumes the recording of the watch history of the logged-in user.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @returns {Object} The response object with the updated pause setting.
+ */
+const updateWatchHistoryPause = asyncHandler(async (req, res) => {
+  const { paused } = req.body;
+
+  await User.findByIdAndUpdate(req.user._id, {
+    $set: { watchHistoryPaused: paused },
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { paused },
+        paused ? "Watch history paused" : "Watch history resumed"
+      )
+    );
+});
+
+export {
+  recordWatchProgress,
+  getUserWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  updateWatchHistoryPause,
+};
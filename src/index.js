@@ -1,12 +1,58 @@
 import dotenv from "dotenv";
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import {
+  registerJobHandler,
+  scheduleRecurringJob,
+  startJobWorker,
+} from "./utils/jobQueue.js";
+import { checkFfmpeg } from "./utils/ffmpeg.js";
+import { configureRateLimitStore } from "./utils/rateLimitStore.js";
+import {
+  VIDEO_PROCESSING_JOB,
+  videoProcessingHandler,
+} from "./jobs/videoProcessing.job.js";
+import { COWATCH_JOB, coWatchHandler } from "./jobs/coWatch.job.js";
+import { TRENDING_JOB, trendingHandler } from "./jobs/trending.job.js";
+import {
+  ANALYTICS_ROLLUP_JOB,
+  analyticsRollupHandler,
+} from "./jobs/analyticsRollup.job.js";
+import {
+  COWATCH_INTERVAL_MS,
+  TRENDING_INTERVAL_MS,
+  ANALYTICS_ROLLUP_INTERVAL_MS,
+} from "./constants.js";
 dotenv.config({
   path: "./env",
 });
 
+// Share the rate limits and login lockouts between instances when Redis is configured
+configureRateLimitStore();
+
+// Register the handlers of the background jobs
+registerJobHandler(VIDEO_PROCESSING_JOB, videoProcessingHandler);
+registerJobHandler(COWATCH_JOB, coWatchHandler);
+registerJobHandler(TRENDING_JOB, trendingHandler);
+registerJobHandler(ANALYTICS_ROLLUP_JOB, analyticsRollupHandler);
+
+// Recompute the co-watch signal of the related videos, the trending videos and the channel statistics periodically
+scheduleRecurringJob(COWATCH_JOB, COWATCH_INTERVAL_MS);
+scheduleRecurringJob(TRENDING_JOB, TRENDING_INTERVAL_MS);
+scheduleRecurringJob(ANALYTICS_ROLLUP_JOB, ANALYTICS_ROLLUP_INTERVAL_MS);
+
 connectDB()
-  .then(() => {
+  .then(async () => {
+    // Thumbnails are only generated when FFmpeg is installed, otherwise they must be uploaded
+    if (!(await checkFfmpeg())) {
+      console.warn(
+        "FFmpeg was not found, thumbnails are required when publishing videos. Install FFmpeg or set FFMPEG_PATH to generate them."
+      );
+    }
+
+    // Start running the background jobs stored in the database
+    await startJobWorker();
+
     app.on("error", (error) => {
       console.log("ERROR: ", error);
       throw error;
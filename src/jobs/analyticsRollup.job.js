@@ -0,0 +1,180 @@
+/**
+ * @fileoverview This file defines the background job that rolls up the channel statistics in the YouTube redesign backend application.
+ * Each run recomputes the DailyStat rows of the days that may have changed since the previous run, from the analytics
+ * events, likes, comments and subscriptions of those days. Rows are replaced, so running it again for a day is harmless.
+ */
+
+import { Video } from "../models/video.model.js";
+import { Comment } from "../models/comment.model.js";
+import { LikeDislike } from "../models/likeDislike.model.js";
+import { AnalyticsEvent } from "../models/analyticsEvent.model.js";
+import { Subscription } from "../models/subscription.model.js";
+import { DailyStat } from "../models/dailyStat.model.js";
+import { startOfUtcDay, addUtcDays } from "../utils/analytics.js";
+import { ANALYTICS_BACKFILL_DAYS } from "../constants.js";
+
+// Type of the job in the Job collection
+export const ANALYTICS_ROLLUP_JOB = "rollupDailyStats";
+
+// Fields of the daily rows summed into the row of the channel
+const VIDEO_FIELDS = [
+  "views",
+  "watchTimeSeconds",
+  "viewedDurationSeconds",
+  "likes",
+  "comments",
+];
+
+/**
+ * Counts the documents of each video created during a day.
+ * @param {Object} Model - The model of the documents.
+ * @param {Object} match - The filter selecting the documents.
+ * @returns {Array} The count of each video.
+ */
+const countPerVideo = (Model, match) =>
+  Model.aggregate([
+    { $match: { video: { $exists: true }, ...match } },
+    { $group: { _id: "$video", count: { $sum: 1 } } },
+  ]);
+
+/**
+ * Recomputes the rows of a day.
+ * @param {Date} date - The start of the day.
+ * @param {Date} computedAt - The time of the rollup.
+ */
+const rollupDay = async (date, computedAt) => {
+  const createdAt = { $gte: date, $lt: addUtcDays(date, 1) };
+
+  const [events, likes, comments, subscriptions] = await Promise.all([
+    AnalyticsEvent.aggregate([
+      { $match: { createdAt } },
+      {
+        $group: {
+          _id: { type: "$type", channel: "$channel", video: "$video" },
+          count: { $sum: 1 },
+          value: { $sum: "$value" },
+        },
+      },
+    ]),
+    countPerVideo(LikeDislike, { isLike: true, createdAt }),
+    countPerVideo(Comment, { createdAt }),
+    // Gains come from the subscriptions that still exist, losses from the unsubscribe events
+    Subscription.aggregate([
+      { $match: { createdAt } },
+      { $group: { _id: "$channel", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  // The owner and duration of every video involved
+  const videoIds = [
+    ...events.map((event) => event._id.video).filter(Boolean),
+    ...likes.map((like) => like._id),
+    ...comments.map((comment) => comment._id),
+  ];
+  const videos = await Video.find({ _id: { $in: videoIds } })
+    .select("owner duration")
+    .lean();
+  const videosById = new Map(videos.map((video) => [String(video._id), video]));
+
+  // Rows of the day, keyed by channel and video
+  const rows = new Map();
+  const getRow = (channel, video = null) => {
+    const key = `${channel}:${video || ""}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        channel,
+        video,
+        views: 0,
+        watchTimeSeconds: 0,
+        viewedDurationSeconds: 0,
+        likes: 0,
+        comments: 0,
+        subscribersGained: 0,
+        subscribersLost: 0,
+      });
+    }
+    return rows.get(key);
+  };
+
+  events.forEach(({ _id: { type, channel, video }, count, value }) => {
+    if (type === "unsubscribe") {
+      getRow(channel).subscribersLost += count;
+    } else if (type === "view") {
+      const row = getRow(channel, video);
+      row.views += count;
+      row.viewedDurationSeconds +=
+        count * (videosById.get(String(video))?.duration || 0);
+    } else if (type === "watch") {
+      getRow(channel, video).watchTimeSeconds += value;
+    }
+  });
+
+  subscriptions.forEach(({ _id, count }) => {
+    getRow(_id).subscribersGained += count;
+  });
+
+  // Likes and comments of deleted videos are left out
+  [
+    [likes, "likes"],
+    [comments, "comments"],
+  ].forEach(([counts, field]) =>
+    counts.forEach(({ _id, count }) => {
+      const video = videosById.get(String(_id));
+      if (video?.owner) {
+        getRow(video.owner, video._id)[field] += count;
+      }
+    })
+  );
+
+  // Add up the rows of the videos into the row of their channel
+  [...rows.values()]
+    .filter((row) => row.video)
+    .forEach((row) => {
+      const channelRow = getRow(row.channel);
+      VIDEO_FIELDS.forEach((field) => {
+        channelRow[field] += row[field];
+      });
+    });
+
+  if (rows.size) {
+    await DailyStat.bulkWrite(
+      [...rows.values()].map(({ channel, video, ...stats }) => ({
+        updateOne: {
+          filter: { channel, video, date },
+          update: { $set: { ...stats, computedAt } },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  // Rows not produced by this rollup lost all of their activity, for example when a like was removed
+  await DailyStat.deleteMany({ date, computedAt: { $lt: computedAt } });
+};
+
+// Handler of the rollup job, registered with the job queue and run periodically
+export const analyticsRollupHandler = {
+  /**
+   * Rolls up the days from the day before the latest rolled up day, which may have received late events, until today.
+   * @param {Object} job - The job document.
+   * @param {Function} reportProgress - Records the progress of the job in percent.
+   */
+  run: async (job, reportProgress) => {
+    const computedAt = new Date();
+    const today = startOfUtcDay(computedAt);
+
+    // Older days are never rolled up again, their events may already have expired
+    const oldestDay = addUtcDays(today, -ANALYTICS_BACKFILL_DAYS);
+    const latest = await DailyStat.findOne().sort({ date: -1 }).select("date");
+    const firstDay =
+      latest && latest.date > oldestDay
+        ? addUtcDays(latest.date, -1)
+        : oldestDay;
+
+    const days = Math.round((today - firstDay) / (24 * 60 * 60 * 1000)) + 1;
+    for (let index = 0; index < days; index++) {
+      await rollupDay(addUtcDays(firstDay, index), computedAt);
+      await reportProgress(Math.round(((index + 1) / days) * 100));
+    }
+  },
+};
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview This file defines the background job that precomputes the co-watch signal of the related videos
+ * in the YouTube redesign backend application. It pairs the videos found in the recent watch history of each user
+ * and counts, for every pair, how many users watched both videos.
+ */
+
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { CoWatch } from "../models/coWatch.model.js";
+import {
+  COWATCH_WINDOW_DAYS,
+  COWATCH_HISTORY_SIZE,
+  COWATCH_MIN_VIEWERS,
+  COWATCH_MAX_RELATED,
+} from "../constants.js";
+
+// Type of the job in the Job collection
+export const COWATCH_JOB = "computeCoWatch";
+
+// Handler of the co-watch job, registered with the job queue and run periodically
+export const coWatchHandler = {
+  /**
+   * Recomputes every co-watch pair and removes the pairs that are no longer frequent enough.
+   * @param {Object} job - The job document.
+   * @param {Function} reportProgress - Records the progress of the job in percent.
+   */
+  run: async (job, reportProgress) => {
+    const computedAt = new Date();
+    const windowStart = new Date(
+      computedAt.getTime() - COWATCH_WINDOW_DAYS * 24 * 60 * 60 * 1000
+    );
+
+    await WatchHistory.aggregate([
+      { $match: { updatedAt: { $gte: windowStart } } },
+      // Only the latest videos of each user are paired, to bound the number of pairs
+      { $sort: { owner: 1, updatedAt: -1 } },
+      { $group: { _id: "$owner", videos: { $push: "$video" } } },
+      {
+        $project: {
+          videos: { $slice: ["$videos", COWATCH_HISTORY_SIZE] },
+        },
+      },
+      // Pair every video of a user with every other video of the same user
+      { $addFields: { video: "$videos" } },
+      { $unwind: "$video" },
+      { $unwind: "$videos" },
+      { $match: { $expr: { $ne: ["$video", "$videos"] } } },
+      {
+        $group: {
+          _id: { video: "$video", relatedVideo: "$videos" },
+          viewers: { $sum: 1 },
+        },
+      },
+      { $match: { viewers: { $gte: COWATCH_MIN_VIEWERS } } },
+      // Keep the most watched pairs of each video
+      { $sort: { "_id.video": 1, viewers: -1 } },
+      {
+        $group: {
+          _id: "$_id.video",
+          related: {
+            $push: { relatedVideo: "$_id.relatedVideo", viewers: "$viewers" },
+          },
+        },
+      },
+      {
+        $project: { related: { $slice: ["$related", COWATCH_MAX_RELATED] } },
+      },
+      { $unwind: "$related" },
+      {
+        $project: {
+          _id: 0,
+          video: "$_id",
+          relatedVideo: "$related.relatedVideo",
+          viewers: "$related.viewers",
+          computedAt: { $literal: computedAt },
+        },
+      },
+      {
+        $merge: {
+          into: CoWatch.collection.name,
+          on: ["video", "relatedVideo"],
+          whenMatched: "merge",
+          whenNotMatched: "insert",
+        },
+      },
+    ]).allowDiskUse(true);
+    await reportProgress(90);
+
+    // Pairs not produced by this computation fell below the thresholds or out of the window
+    await CoWatch.deleteMany({ computedAt: { $lt: computedAt } });
+  },
+};
@@ -0,0 +1,184 @@
+/**
+ * @fileoverview This file defines the background job that computes the trending videos in the YouTube redesign backend application.
+ * Recent public videos are scored by their views and likes over a sliding window, recent ones counting more,
+ * and the ranking of all videos and of each category is saved as a TrendingSnapshot.
+ */
+
+import { Video } from "../models/video.model.js";
+import { AnalyticsEvent } from "../models/analyticsEvent.model.js";
+import { LikeDislike } from "../models/likeDislike.model.js";
+import { TrendingSnapshot } from "../models/trendingSnapshot.model.js";
+import {
+  TRENDING_WINDOW_HOURS,
+  TRENDING_HALF_LIFE_HOURS,
+  TRENDING_MAX_AGE_DAYS,
+  TRENDING_SIZE,
+  TRENDING_SCORE_WEIGHTS,
+} from "../constants.js";
+
+// Type of the job in the Job collection
+export const TRENDING_JOB = "computeTrending";
+
+/**
+ * Counts events per video over the window, each event weighted by how recent it is.
+ * @param {Object} Model - The model of the events.
+ * @param {Object} match - The filter selecting the events.
+ * @param {Date} now - The end of the window.
+ * @returns {Array} The count and weighted count of each video.
+ */
+const countRecentEvents = (Model, match, now) =>
+  Model.aggregate([
+    {
+      $match: {
+        ...match,
+        createdAt: {
+          $gte: new Date(now.getTime() - TRENDING_WINDOW_HOURS * 3600000),
+        },
+      },
+    },
+    {
+      $group: {
+        _id: "$video",
+        count: { $sum: 1 },
+        // An event loses half of its weight every half-life
+        weight: {
+          $sum: {
+            $pow: [
+              0.5,
+              {
+                $divide: [
+                  { $subtract: [now, "$createdAt"] },
+                  TRENDING_HALF_LIFE_HOURS * 3600000,
+                ],
+              },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+/**
+ * Saves the ranking of a category, with the rank each video had in the previous snapshot.
+ * @param {string} category - The category ("" for all categories).
+ * @param {Array} scored - The scored videos of the category, best first.
+ * @param {Date} computedAt - The time of the computation.
+ */
+const saveSnapshot = async (category, scored, computedAt) => {
+  const previous = await TrendingSnapshot.findOne({ category })
+    .sort({ computedAt: -1 })
+    .lean();
+  const previousRanks = new Map(
+    (previous?.entries || []).map((entry) => [String(entry.video), entry.rank])
+  );
+
+  const entries = scored.slice(0, TRENDING_SIZE).map((entry, index) => ({
+    ...entry,
+    rank: index + 1,
+    previousRank: previousRanks.get(String(entry.video)) ?? null,
+  }));
+
+  // Categories with nothing trending now or before need no snapshot
+  if (entries.length || previousRanks.size) {
+    await TrendingSnapshot.create({
+      category,
+      computedAt,
+      windowHours: TRENDING_WINDOW_HOURS,
+      entries,
+    });
+  }
+
+  // Only the latest snapshot and the one it is compared with are needed
+  if (previous) {
+    await TrendingSnapshot.deleteMany({
+      category,
+      computedAt: { $lt: previous.computedAt },
+    });
+    if (!entries.length && !previousRanks.size) {
+      await TrendingSnapshot.deleteOne({ _id: previous._id });
+    }
+  }
+};
+
+// Handler of the trending job, registered with the job queue and run periodically
+export const trendingHandler = {
+  /**
+   * Scores the recent videos and saves the snapshots of all categories.
+   * @param {Object} job - The job document.
+   * @param {Function} reportProgress - Records the progress of the job in percent.
+   */
+  run: async (job, reportProgress) => {
+    const computedAt = new Date();
+
+    const [viewCounts, likeCounts] = await Promise.all([
+      countRecentEvents(AnalyticsEvent, { type: "view" }, computedAt),
+      countRecentEvents(
+        LikeDislike,
+        { video: { $exists: true }, isLike: true },
+        computedAt
+      ),
+    ]);
+
+    // Combine the views and likes of each video
+    const activity = new Map();
+    const addActivity = (counts, field) =>
+      counts.forEach(({ _id, count, weight }) => {
+        const key = String(_id);
+        const entry = activity.get(key) || {
+          video: _id,
+          views: 0,
+          likes: 0,
+          score: 0,
+        };
+        entry[field] = count;
+        entry.score += TRENDING_SCORE_WEIGHTS[field] * weight;
+        activity.set(key, entry);
+      });
+    addActivity(viewCounts, "views");
+    addActivity(likeCounts, "likes");
+    await reportProgress(50);
+
+    // Only recent public videos that are ready can trend
+    const videos = await Video.find({
+      _id: { $in: [...activity.values()].map((entry) => entry.video) },
+      status: "public",
+      processingStatus: { $nin: ["processing", "failed"] },
+      createdAt: {
+        $gte: new Date(
+          computedAt.getTime() - TRENDING_MAX_AGE_DAYS * 24 * 3600000
+        ),
+      },
+    })
+      .select("category")
+      .lean();
+
+    const scored = videos
+      .map((video) => ({
+        ...activity.get(String(video._id)),
+        category: video.category,
+      }))
+      .sort((a, b) => b.score - a.score);
+
+    // Rank all videos together and each category on its own, including categories that stopped trending
+    const categories = new Set([
+      "",
+      ...scored.map((entry) => entry.category).filter(Boolean),
+      ...(await TrendingSnapshot.distinct("category")),
+    ]);
+
+    for (const category of categories) {
+      await saveSnapshot(
+        category,
+        scored
+          .filter((entry) => !category || entry.category === category)
+          .map(({ video, score, views, likes }) => ({
+            video,
+            score,
+            views,
+            likes,
+          })),
+        computedAt
+      );
+    }
+  },
+};
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview This file defines the background job that processes a published video in the YouTube redesign backend application.
+ * The job probes the duration of the video, generates a thumbnail when none was uploaded, stores both files
+ * and marks the video as ready, or as failed once every attempt failed.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Video } from "../models/video.model.js";
+import { Job } from "../models/job.model.js";
+import { uploadFile } from "../utils/storage.js";
+import { probeDuration, extractThumbnail } from "../utils/ffmpeg.js";
+
+// Type of the job in the Job collection
+export const VIDEO_PROCESSING_JOB = "processVideo";
+
+/**
+ * Gets the directory where uploaded files wait to be processed.
+ * Unlike the upload directory, files stay there after the request ends and until the job is done.
+ * @returns {string} The path of the directory.
+ */
+export const getProcessingDirectory = () =>
+  process.env.VIDEO_PROCESSING_DIR ||
+  path.join(os.tmpdir(), "youtube-redesign-processing");
+
+/**
+ * Removes the local files of a job.
+ * @param {Object} job - The job document.
+ */
+const removeJobFiles = async (job) => {
+  const { videoPath, thumbnailPath, generatedThumbnailPath } = job.payload;
+  await Promise.all(
+    [videoPath, thumbnailPath, generatedThumbnailPath]
+      .filter(Boolean)
+      .map((filePath) => fs.promises.rm(filePath, { force: true }))
+  );
+};
+
+/**
+ * Cancels the queued processing jobs of a video and removes their files, for example when the video is deleted.
+ * @param {string} videoId - The ID of the video.
+ */
+export const cancelVideoProcessing = async (videoId) => {
+  const jobs = await Job.find({
+    video: videoId,
+    type: VIDEO_PROCESSING_JOB,
+    status: "queued",
+  });
+
+  await Job.updateMany(
+    { _id: { $in: jobs.map((job) => job._id) }, status: "queued" },
+    { $set: { status: "cancelled", completedAt: new Date() } }
+  );
+  await Promise.all(jobs.map(removeJobFiles));
+};
+
+// Handler of the video processing job, registered with the job queue
+export const videoProcessingHandler = {
+  /**
+   * Runs an attempt of the job. Steps that already succeeded in a previous attempt are skipped.
+   * @param {Object} job - The job document.
+   * @param {Function} reportProgress - Records the progress of the job in percent.
+   */
+  run: async (job, reportProgress) => {
+    const { videoPath, thumbnailPath, generatedThumbnailPath } = job.payload;
+
+    // The video may have been deleted while the job was waiting
+    const video = await Video.findById(job.video);
+    if (!video) {
+      await removeJobFiles(job);
+      return;
+    }
+
+    // Read the duration of the video, which the storage may also report later
+    let duration = video.duration;
+    if (!duration) {
+      try {
+        duration = await probeDuration(videoPath);
+      } catch (error) {
+        console.error("Error probing video duration: ", error);
+      }
+    }
+    await reportProgress(10);
+
+    // Store the uploaded thumbnail, or one generated from the video
+    if (!video.thumbnailId) {
+      let thumbnailSource = thumbnailPath;
+      if (!thumbnailSource) {
+        await extractThumbnail(
+          videoPath,
+          generatedThumbnailPath,
+          Math.min(1, (duration || 0) / 2)
+        );
+        thumbnailSource = generatedThumbnailPath;
+      }
+
+      const thumbnail = await uploadFile(thumbnailSource, "thumbnails", {
+        keepLocalFile: true,
+      });
+      if (!thumbnail) {
+        throw new Error("Failed to store the thumbnail");
+      }
+
+      video.thumbnail = thumbnail.url;
+      video.thumbnailId = thumbnail.assetId;
+      await video.save({ validateBeforeSave: false });
+    }
+    await reportProgress(30);
+
+    // Store the video file itself
+    if (!video.videoFileId) {
+      // Video files are only streamed through signed URLs
+      const videoFile = await uploadFile(videoPath, "videos", {
+        keepLocalFile: true,
+        isPrivate: true,
+        isVideo: true,
+      });
+      if (!videoFile) {
+        throw new Error("Failed to store the video file");
+      }
+
+      video.videoFile = videoFile.url;
+      video.videoFileId = videoFile.assetId;
+      duration = duration || videoFile.duration;
+      await video.save({ validateBeforeSave: false });
+    }
+    await reportProgress(90);
+
+    // The video can now be watched
+    video.duration = duration || 0;
+    video.processingStatus = "ready";
+    video.processingError = undefined;
+    await video.save();
+
+    await removeJobFiles(job);
+  },
+
+  /**
+   * Marks the video as failed once every attempt failed.
+   * @param {Object} job - The job document.
+   * @param {Error} error - The error of the last attempt.
+   */
+  onFailed: async (job, error) => {
+    await Video.updateOne(
+      { _id: job.video },
+      {
+        $set: { processingStatus: "failed", processingError: error.message },
+      }
+    );
+    await removeJobFiles(job);
+  },
+};
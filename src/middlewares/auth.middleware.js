@@ -2,6 +2,16 @@ import jwt from "jsonwebtoken";
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { User } from "../models/user.model.js";
+import { Session } from "../models/session.model.js";
+
+/**
+ * Gets the access token from the cookies or the Authorization header of a request.
+ * @param {Object} req - The request object.
+ * @returns {string|undefined} The access token, if any.
+ */
+const getAccessToken = (req) =>
+  req.cookies?.accessToken ||
+  req.header("Authorization")?.replace("Bearer ", "");
 
 /**
  * Middleware to verify JWT and authenticate the user.
@@ -12,9 +22,7 @@ import { User } from "../models/user.model.js";
 export const verifyJWT = asyncHandler(async (req, res, next) => {
   try {
     // Get the token from cookies or Authorization header
-    const token =
-      req.cookies?.accessToken ||
-      req.header("Authorization")?.replace("Bearer ", "");
+    const token = getAccessToken(req);
 
     // If no token is provided, throw an unauthorized error
     if (!token) {
@@ -34,11 +42,106 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
       throw new ApiError(401, "Invalid Access Token");
     }
 
-    // Attach the user to the request object
+    // Reject banned and suspended accounts
+    const restriction = user.getAccessRestriction();
+    if (restriction) {
+      throw new ApiError(403, restriction);
+    }
+
+    // Reject tokens whose session was logged out or revoked
+    const session = await Session.exists({
+      _id: decodedToken.sessionId,
+      user: user._id,
+      revokedAt: null,
+    });
+    if (!session) {
+      throw new ApiError(401, "Session has expired or been revoked");
+    }
+
+    // Attach the user and their session to the request object
     req.user = user;
+    req.sessionId = session._id;
     next();
   } catch (error) {
+    // Keep the status of errors raised above, such as a 403 for banned accounts
+    if (error instanceof ApiError) {
+      throw error;
+    }
     // If an error occurs, throw an unauthorized error with the error message
     throw new ApiError(401, error?.message || "Invalid access token");
   }
 });
+
+/**
+ * Middleware to authenticate the user when a valid token is present.
+ * Requests without a token, or with an invalid one, continue anonymously.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ */
+export const optionalAuth = asyncHandler(async (req, res, next) => {
+  const token = getAccessToken(req);
+
+  if (token) {
+    try {
+      // Verify the token and find the user, excluding password and refreshToken fields
+      const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+      const user = await User.findById(decodedToken?._id).select(
+        "-password -refreshToken"
+      );
+
+      const session =
+        user &&
+        (await Session.exists({
+          _id: decodedToken.sessionId,
+          user: user._id,
+          revokedAt: null,
+        }));
+
+      // Only attach users whose account is allowed to sign in and whose session is active
+      if (session && !user.getAccessRestriction()) {
+        req.user = user;
+        req.sessionId = session._id;
+      }
+    } catch (error) {
+      // An invalid or expired token is treated the same as no token
+    }
+  }
+
+  next();
+});
+
+/**
+ * Middleware factory to restrict a route to users with one of the given roles.
+ * Must be used after verifyJWT.
+ * @param {...string} roles - The roles allowed to access the route.
+ * @returns {Function} The middleware function.
+ */
+export const authorize = (...roles) => {
+  return (req, res, next) => {
+    // If the user's role is not allowed, throw a forbidden error
+    if (!req.user || !roles.includes(req.user.role)) {
+      return next(
+        new ApiError(403, "You are not allowed to perform this action")
+      );
+    }
+    next();
+  };
+};
+
+/**
+ * Middleware to restrict a route to users who verified their email address.
+ * Must be used after verifyJWT.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  // If the email is not verified, throw a forbidden error
+  if (!req.user?.isEmailVerified) {
+    return next(
+      new ApiError(403, "Please verify your email address to continue")
+    );
+  }
+  next();
+};
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview This file defines the error-handling middlewares of the YouTube redesign backend application.
+ * Every error is sent as JSON in the same shape as ApiResponse, with success set to false.
+ */
+
+import mongoose from "mongoose";
+import multer from "multer";
+import jwt from "jsonwebtoken";
+import { ApiError } from "../utils/ApiError.js";
+
+// Messages for the Multer error codes, used instead of Multer's own wording
+const multerMessages = {
+  LIMIT_FILE_SIZE: "File is too large",
+  LIMIT_FILE_COUNT: "Too many files",
+  LIMIT_UNEXPECTED_FILE: "Unexpected file field",
+};
+
+/**
+ * Converts any error thrown while handling a request into an ApiError.
+ * @param {Error} err - The error.
+ * @returns {ApiError} The matching ApiError.
+ */
+const toApiError = (err) => {
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  // Schema validation failed: report every invalid field
+  if (err instanceof mongoose.Error.ValidationError) {
+    const errors = Object.values(err.errors).map((error) => ({
+      field: error.path,
+      message: error.message,
+    }));
+    return new ApiError(400, "Validation failed", errors, err.stack);
+  }
+
+  // A value could not be converted to the type of its field, such as a malformed ObjectId
+  if (err instanceof mongoose.Error.CastError) {
+    return new ApiError(
+      400,
+      `Invalid ${err.path}: ${err.value}`,
+      [],
+      err.stack
+    );
+  }
+
+  // A unique index was violated
+  if (err?.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ApiError(
+      409,
+      fields.length
+        ? `${fields.join(", ")} already exists`
+        : "Resource already exists",
+      fields.map((field) => ({ field, message: `${field} already exists` })),
+      err.stack
+    );
+  }
+
+  // An access or refresh token is expired or invalid
+  if (err instanceof jwt.TokenExpiredError) {
+    return new ApiError(401, "Token has expired", [], err.stack);
+  }
+  if (err instanceof jwt.JsonWebTokenError) {
+    return new ApiError(401, "Invalid token", [], err.stack);
+  }
+
+  // The upload was rejected by Multer
+  if (err instanceof multer.MulterError) {
+    return new ApiError(
+      err.code === "LIMIT_FILE_SIZE" ? 413 : 400,
+      multerMessages[err.code] || err.message,
+      err.field ? [{ field: err.field, message: err.message }] : [],
+      err.stack
+    );
+  }
+
+  // Client errors raised by Express itself, such as a malformed JSON body
+  const status = err?.status || err?.statusCode;
+  if (status >= 400 && status < 500) {
+    return new ApiError(status, err.message, [], err.stack);
+  }
+
+  return new ApiError(500, "Internal Server Error", [], err?.stack);
+};
+
+/**
+ * Middleware to answer requests that did not match any route.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ */
+export const notFound = (req, res, next) => {
+  next(new ApiError(404, `Route not found: ${req.method} ${req.originalUrl}`));
+};
+
+/**
+ * Middleware to send errors to the client as JSON.
+ * @param {Error} err - The error.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ */
+export const errorHandler = (err, req, res, next) => {
+  // If the response was already started, let Express close the connection
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const error = toApiError(err);
+
+  // Log unexpected errors, which are not caused by the client
+  if (error.statusCode >= 500) {
+    console.error("Unhandled error: ", err);
+  }
+
+  return res.status(error.statusCode).json({
+    statusCode: error.statusCode,
+    data: error.data,
+    message: error.message,
+    success: false,
+    errors: error.errors,
+    // Stack traces are only shown outside production
+    ...(process.env.NODE_ENV === "production" ? {} : { stack: error.stack }),
+  });
+};
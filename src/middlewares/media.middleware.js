@@ -0,0 +1,32 @@
+import { ApiError } from "../utils/ApiError.js";
+import {
+  MEDIA_URL_PATH,
+  verifyMediaSignature,
+} from "../utils/localDiskStorage.js";
+
+/**
+ * Middleware to only serve local media files through signed URLs that have not expired.
+ * Used for video files, which must not be reachable by anyone holding their plain URL.
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware function.
+ */
+export const requireSignedMediaUrl = (req, res, next) => {
+  // Rebuild the key of the file from the mount path and the rest of the URL
+  let key;
+  try {
+    key = decodeURIComponent(
+      `${req.baseUrl.slice(MEDIA_URL_PATH.length + 1)}${req.path}`
+    );
+  } catch (error) {
+    // A malformed percent-encoded path cannot match a signed key
+    return next(new ApiError(400, "Invalid media path"));
+  }
+  const { expires, signature } = req.query;
+
+  // If the signature is missing, invalid or expired, throw a forbidden error
+  if (!verifyMediaSignature(key, expires, signature)) {
+    return next(new ApiError(403, "This media link is invalid or has expired"));
+  }
+  next();
+};
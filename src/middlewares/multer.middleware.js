@@ -1,23 +1,183 @@
 /**
  * @fileoverview This file defines the middleware for handling file uploads using Multer in the YouTube redesign backend application.
- * It includes the storage configuration for saving uploaded files to a temporary directory.
+ * Uploads are checked against per-field type and size rules, saved under unique names in a private temporary directory,
+ * and removed once the response is sent if they were not already moved to the storage.
  */
 
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
 import multer from "multer";
+import { ApiError } from "../utils/ApiError.js";
+
+const MB = 1024 * 1024;
+
+// Accepted types of each kind of file, mapped to the extension of the saved file
+const IMAGE_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+  "image/gif": ".gif",
+};
+const VIDEO_TYPES = {
+  "video/mp4": ".mp4",
+  "video/webm": ".webm",
+  "video/quicktime": ".mov",
+  "video/x-matroska": ".mkv",
+};
+
+// Accepted types and maximum size of every upload field
+const FIELD_RULES = {
+  avatar: { types: IMAGE_TYPES, maxSize: 5 * MB },
+  coverImage: { types: IMAGE_TYPES, maxSize: 10 * MB },
+  thumbnail: { types: IMAGE_TYPES, maxSize: 5 * MB },
+  image: { types: IMAGE_TYPES, maxSize: 10 * MB },
+  videoFile: { types: VIDEO_TYPES, maxSize: 2048 * MB },
+};
+
+/**
+ * Gets the directory where uploads are kept until they are moved to the storage.
+ * It is outside of the public directory so that uploads are never served as they are.
+ * @returns {string} The path of the directory.
+ */
+const getTempDirectory = () =>
+  process.env.UPLOAD_TEMP_DIR ||
+  path.join(os.tmpdir(), "youtube-redesign-uploads");
 
 // Configure storage settings for Multer
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    // Set the destination directory for uploaded files
-    cb(null, "./public/temp");
+    // Set the destination directory for uploaded files, creating it if needed
+    const directory = getTempDirectory();
+    fs.mkdir(directory, { recursive: true }, (error) => cb(error, directory));
   },
   filename: function (req, file, cb) {
-    // Set the filename for uploaded files
-    cb(null, file.originalname);
+    // Use a random name so that concurrent uploads of files with the same name do not collide
+    const extension = FIELD_RULES[file.fieldname].types[file.mimetype];
+    cb(null, `${crypto.randomUUID()}${extension}`);
   },
 });
 
-// Export the configured Multer instance
-export const upload = multer({
-  storage,
-});
+/**
+ * Rejects files of unknown fields or of a type not accepted by their field.
+ * @param {Object} req - The request object.
+ * @param {Object} file - The file being uploaded.
+ * @param {Function} cb - The callback telling Multer whether to accept the file.
+ */
+const fileFilter = (req, file, cb) => {
+  const rule = FIELD_RULES[file.fieldname];
+  if (!rule) {
+    return cb(new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname));
+  }
+  if (!rule.types[file.mimetype]) {
+    return cb(
+      new ApiError(
+        415,
+        `${file.fieldname} must be one of: ${Object.keys(rule.types).join(", ")}`,
+        [
+          {
+            field: file.fieldname,
+            message: `Unsupported type ${file.mimetype}`,
+          },
+        ]
+      )
+    );
+  }
+  cb(null, true);
+};
+
+/**
+ * Builds the error for a file larger than its field allows.
+ * @param {string} field - The name of the field.
+ * @returns {ApiError} The error.
+ */
+const fileTooLargeError = (field) => {
+  const message = `${field} can be at most ${FIELD_RULES[field].maxSize / MB} MB`;
+  return new ApiError(413, message, [{ field, message }]);
+};
+
+/**
+ * Lists the files saved for a request.
+ * @param {Object} req - The request object.
+ * @returns {Array} The uploaded files.
+ */
+const getUploadedFiles = (req) => [
+  ...(req.file ? [req.file] : []),
+  ...(Array.isArray(req.files)
+    ? req.files
+    : Object.values(req.files || {}).flat()),
+];
+
+/**
+ * Removes the files saved for a request that are still in the temporary directory.
+ * @param {Object} req - The request object.
+ */
+const removeUploadedFiles = async (req) => {
+  await Promise.all(
+    getUploadedFiles(req).map((file) =>
+      fs.promises.rm(file.path, { force: true }).catch((error) => {
+        console.error("Error removing uploaded file: ", error);
+      })
+    )
+  );
+};
+
+/**
+ * Wraps a Multer middleware to enforce the size limit of every field and to clean up the files afterwards.
+ * @param {Array} fieldNames - The names of the fields the middleware accepts.
+ * @param {Function} createMiddleware - Creates the Multer middleware from a Multer instance.
+ * @returns {Function} The middleware function.
+ */
+const withUploadRules = (fieldNames, createMiddleware) => {
+  // Multer only has a single size limit, so it stops at the largest one and smaller fields are checked afterwards
+  const middleware = createMiddleware(
+    multer({
+      storage,
+      fileFilter,
+      limits: {
+        fileSize: Math.max(
+          ...fieldNames.map((field) => FIELD_RULES[field]?.maxSize || 0)
+        ),
+      },
+    })
+  );
+
+  return (req, res, next) => {
+    middleware(req, res, (error) => {
+      if (error) {
+        // Report the limit of the field instead of Multer's generic message
+        if (
+          error instanceof multer.MulterError &&
+          error.code === "LIMIT_FILE_SIZE"
+        ) {
+          return next(fileTooLargeError(error.field));
+        }
+        return next(error);
+      }
+
+      // Remove the temporary files once the response is sent, whether the request succeeded or failed
+      res.once("close", () => removeUploadedFiles(req));
+
+      const oversizedFile = getUploadedFiles(req).find(
+        (file) => file.size > FIELD_RULES[file.fieldname].maxSize
+      );
+      if (oversizedFile) {
+        return next(fileTooLargeError(oversizedFile.fieldname));
+      }
+
+      next();
+    });
+  };
+};
+
+// Export the configured upload middlewares, used like the ones of a Multer instance
+export const upload = {
+  single: (fieldName) =>
+    withUploadRules([fieldName], (instance) => instance.single(fieldName)),
+  fields: (fields) =>
+    withUploadRules(
+      fields.map((field) => field.name),
+      (instance) => instance.fields(fields)
+    ),
+};
@@ -0,0 +1,71 @@
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getRateLimitStore } from "../utils/rateLimitStore.js";
+import { RATE_LIMITS } from "../constants.js";
+
+/**
+ * Gets the window and maximum of a rate limit, taking the environment overrides into account.
+ * @param {string} name - The name of the rate limit in RATE_LIMITS.
+ * @returns {Object} The limit as { windowMs, max }.
+ */
+const getLimit = (name) => ({
+  windowMs:
+    Number(process.env[`RATE_LIMIT_${name}_WINDOW_MS`]) ||
+    RATE_LIMITS[name].windowMs,
+  max: Number(process.env[`RATE_LIMIT_${name}_MAX`]) || RATE_LIMITS[name].max,
+});
+
+/**
+ * Middleware factory to limit how many requests can be made in a time window.
+ * @param {string} name - The name of the rate limit in RATE_LIMITS.
+ * @param {Function} getKey - Returns what the requests are counted by (IP, account...), or nothing to skip the limit.
+ * @returns {Function} The middleware function.
+ */
+const rateLimit = (name, getKey) => {
+  return asyncHandler(async (req, res, next) => {
+    const key = getKey(req);
+    if (!key) {
+      return next();
+    }
+
+    // Count the request in the current window
+    const { windowMs, max } = getLimit(name);
+    const { value, resetAt } = await getRateLimitStore().increment(
+      `${name}:${key}`,
+      windowMs
+    );
+    const retryAfterSeconds = Math.max(
+      Math.ceil((resetAt - Date.now()) / 1000),
+      1
+    );
+
+    // Let clients know how many requests they have left
+    res.set({
+      "RateLimit-Limit": max,
+      "RateLimit-Remaining": Math.max(max - value, 0),
+      "RateLimit-Reset": retryAfterSeconds,
+    });
+
+    // If the limit is exceeded, throw a too many requests error
+    if (value > max) {
+      res.set("Retry-After", retryAfterSeconds);
+      throw new ApiError(429, "Too many requests, please try again later");
+    }
+
+    next();
+  });
+};
+
+// Limits login attempts per IP address and per account
+export const loginIpLimiter = rateLimit("LOGIN_IP", (req) => req.ip);
+export const loginAccountLimiter = rateLimit("LOGIN_ACCOUNT", (req) =>
+  (req.body?.email || req.body?.username)?.toString().trim().toLowerCase()
+);
+// Limits account creation per IP address
+export const registerLimiter = rateLimit("REGISTER_IP", (req) => req.ip);
+// Limits token refreshes per IP address
+export const refreshLimiter = rateLimit("REFRESH_IP", (req) => req.ip);
+// Limits uploads per user, must be used after verifyJWT
+export const uploadLimiter = rateLimit("UPLOAD_USER", (req) =>
+  req.user?._id.toString()
+);
@@ -0,0 +1,41 @@
+import { ApiError } from "../utils/ApiError.js";
+
+// Parts of the request that can be validated, in the order they are checked
+const REQUEST_LOCATIONS = ["params", "query", "body"];
+
+/**
+ * Middleware factory to validate the params, query and body of a request against schemas.
+ * Valid values replace the raw ones, so handlers receive coerced and trimmed data without unknown fields.
+ * Must be used after Multer on multipart routes, since Multer fills the body.
+ * @param {Object} schemas - The schemas, keyed by request location ("params", "query" or "body").
+ * @returns {Function} The middleware function.
+ */
+export const validate = (schemas) => {
+  return (req, res, next) => {
+    const errors = [];
+
+    REQUEST_LOCATIONS.forEach((location) => {
+      if (!schemas[location]) return;
+
+      const result = schemas[location].safeParse(req[location] ?? {});
+      if (result.success) {
+        req[location] = result.data;
+      } else {
+        // Report every invalid field, not only the first one
+        result.error.issues.forEach((issue) => {
+          errors.push({
+            location,
+            field: issue.path.join("."),
+            message: issue.message,
+          });
+        });
+      }
+    });
+
+    // If any field is invalid, throw a bad request error listing them
+    if (errors.length) {
+      return next(new ApiError(400, "Validation failed", errors));
+    }
+    next();
+  };
+};
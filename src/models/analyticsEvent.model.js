@@ -0,0 +1,35 @@
+/**
+ * @fileoverview This file defines the AnalyticsEvent model for the YouTube redesign backend application.
+ * Events record counted views, watch time and unsubscriptions as they happen, so that activity can be counted
+ * over time windows by the trending videos and rolled up into daily channel statistics.
+ */
+
+import mongoose, { Schema } from "mongoose";
+import { ANALYTICS_EVENT_TTL_DAYS } from "../constants.js";
+
+// This schema represents something that happened to a video or a channel at a point in time.
+const analyticsEventSchema = new Schema(
+  {
+    type: {
+      type: String,
+      enum: ["view", "watch", "unsubscribe"],
+      required: true,
+    }, // Kind of event
+    channel: { type: Schema.Types.ObjectId, ref: "User", required: true }, // ObjectId of the channel the event counts for
+    video: { type: Schema.Types.ObjectId, ref: "Video" }, // ObjectId of the video (view and watch events)
+    value: { type: Number, default: 1 }, // Seconds watched for watch events, 1 otherwise
+  },
+  { timestamps: { createdAt: true, updatedAt: false } } // Only the time of the event is kept
+);
+
+// Let MongoDB remove events once they are rolled up and out of every window, also used to read a time window
+analyticsEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: ANALYTICS_EVENT_TTL_DAYS * 24 * 60 * 60 }
+);
+
+// Create and export the AnalyticsEvent model
+export const AnalyticsEvent = mongoose.model(
+  "AnalyticsEvent",
+  analyticsEventSchema
+);
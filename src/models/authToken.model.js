@@ -0,0 +1,79 @@
+/**
+ * @fileoverview This file defines the AuthToken model for the YouTube redesign backend application.
+ * Auth tokens are time-limited, single-use tokens sent by email for verification and password reset.
+ */
+
+import mongoose, { Schema } from "mongoose";
+import { generateToken, hashToken } from "../utils/tokens.js";
+
+// This schema represents a token emailed to a user to prove they own the address.
+const authTokenSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }, // ObjectId of the user the token was issued to
+    type: {
+      type: String,
+      enum: ["emailVerification", "passwordReset"],
+      required: true,
+    }, // What the token can be used for
+    tokenHash: { type: String, required: true, unique: true }, // SHA-256 hash of the token
+    email: { type: String, lowercase: true, trim: true }, // Email address the token was sent to
+    expiresAt: { type: Date, required: true }, // Time after which the token can no longer be used
+    usedAt: { type: Date, default: null }, // Time the token was used (null while unused)
+  },
+  { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
+);
+
+// Index used to invalidate the previous tokens of a user
+authTokenSchema.index({ user: 1, type: 1 });
+// Let MongoDB remove tokens once they have expired
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Issues a new token, invalidating the unused tokens of the same type of the user.
+ * @param {Object} user - The user document.
+ * @param {string} type - The type of the token.
+ * @param {number} ttlMs - How long the token is valid in milliseconds.
+ * @returns {string} The raw token, to be sent to the user and never stored.
+ */
+authTokenSchema.statics.issue = async function (user, type, ttlMs) {
+  await this.deleteMany({ user: user._id, type, usedAt: null });
+
+  const token = generateToken();
+  await this.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    email: user.email,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+
+  return token;
+};
+
+/**
+ * Uses a token, marking it as used so that it cannot be used again.
+ * @param {string} token - The raw token.
+ * @param {string} type - The expected type of the token.
+ * @returns {Object|null} The token document, or null if the token is invalid, expired or used.
+ */
+authTokenSchema.statics.consume = async function (token, type) {
+  const now = new Date();
+
+  return await this.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+};
+
+// Create and export the AuthToken model
+export const AuthToken = mongoose.model("AuthToken", authTokenSchema);
@@ -0,0 +1,23 @@
+/**
+ * @fileoverview This file defines the CoWatch model for the YouTube redesign backend application.
+ * A co-watch pair counts the users who watched both of two videos. The pairs are precomputed
+ * periodically from the watch history by a background job, so that related videos are fast to rank.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+// This schema represents how many users watched a video and another one.
+const coWatchSchema = new Schema({
+  video: { type: Schema.Types.ObjectId, ref: "Video", required: true }, // Video being watched
+  relatedVideo: { type: Schema.Types.ObjectId, ref: "Video", required: true }, // Other video watched by the same users
+  viewers: { type: Number, required: true }, // Number of users who watched both videos
+  computedAt: { type: Date, required: true }, // Time of the computation that produced the pair
+});
+
+// One pair per couple of videos, also used to look up the related videos of a video
+coWatchSchema.index({ video: 1, relatedVideo: 1 }, { unique: true });
+// Index used to rank the related videos of a video
+coWatchSchema.index({ video: 1, viewers: -1 });
+
+// Create and export the CoWatch model
+export const CoWatch = mongoose.model("CoWatch", coWatchSchema);
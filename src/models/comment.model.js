@@ -0,0 +1,66 @@
+/**
+ * @fileoverview This file defines the Comment model for the YouTube redesign backend application.
+ * It includes the schema definition, indexes and plugins for the Comment model.
+ */
+
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// This schema represents a comment, or a reply to a comment, on a video or a community post.
+const commentSchema = new Schema(
+  {
+    content: { type: String, required: true, trim: true, maxlength: 10000 }, // Text of the comment
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+    }, // ObjectId of the video the comment belongs to
+    post: {
+      type: Schema.Types.ObjectId,
+      ref: "Post",
+    }, // ObjectId of the community post the comment belongs to
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }, // ObjectId of the user who wrote the comment
+    parent: {
+      type: Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    }, // ObjectId of the comment this is a reply to (null for top-level comments)
+
+    isPinned: { type: Boolean, default: false }, // Whether the video owner pinned the comment
+    isHidden: { type: Boolean, default: false }, // Whether the video owner hid the comment
+    isEdited: { type: Boolean, default: false }, // Whether the author edited the comment
+
+    likesDislikes: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "LikeDislike",
+      },
+    ], // References to the likes and dislikes associated with the comment
+  },
+  { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
+);
+
+// A comment belongs to exactly one video or post
+commentSchema.pre("validate", function (next) {
+  if (Boolean(this.video) === Boolean(this.post)) {
+    this.invalidate(
+      "video",
+      "A comment must belong to either a video or a post"
+    );
+  }
+  next();
+});
+
+// Indexes used to list the top-level comments of a video or post and the replies to a comment
+commentSchema.index({ video: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ post: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ parent: 1, createdAt: 1 });
+
+// Add pagination plugin to the comment schema
+commentSchema.plugin(mongooseAggregatePaginate);
+
+// Create and export the Comment model
+export const Comment = mongoose.model("Comment", commentSchema);
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview This file defines the DailyStat model for the YouTube redesign backend application.
+ * Daily statistics are rolled up from the analytics events, likes and comments by a background job,
+ * one row per video and day and one row per channel and day, so that the dashboard never scans raw events.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+// This schema represents the activity of a video, or of a whole channel, during a day.
+const dailyStatSchema = new Schema({
+  channel: { type: Schema.Types.ObjectId, ref: "User", required: true }, // ObjectId of the channel
+  video: { type: Schema.Types.ObjectId, ref: "Video", default: null }, // ObjectId of the video (null for the row of the whole channel)
+  date: { type: Date, required: true }, // Start of the day (UTC)
+  views: { type: Number, default: 0 }, // Counted views
+  watchTimeSeconds: { type: Number, default: 0 }, // Seconds watched
+  viewedDurationSeconds: { type: Number, default: 0 }, // Duration of the viewed videos summed over the views, to average the share watched
+  likes: { type: Number, default: 0 }, // Likes given
+  comments: { type: Number, default: 0 }, // Comments written
+  subscribersGained: { type: Number, default: 0 }, // New subscribers (channel rows only)
+  subscribersLost: { type: Number, default: 0 }, // Lost subscribers (channel rows only)
+  computedAt: { type: Date, required: true }, // Time of the rollup that produced the row
+});
+
+// One row per channel, video and day, also used to read the rows of a channel over a date range
+dailyStatSchema.index({ channel: 1, video: 1, date: 1 }, { unique: true });
+// Index used to find the rows of a day when rolling it up again
+dailyStatSchema.index({ date: 1 });
+// Index used to read the rows of each video over a date range
+dailyStatSchema.index({ video: 1, date: 1 });
+
+// Create and export the DailyStat model
+export const DailyStat = mongoose.model("DailyStat", dailyStatSchema);
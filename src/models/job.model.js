@@ -0,0 +1,37 @@
+/**
+ * @fileoverview This file defines the Job model for the YouTube redesign backend application.
+ * Jobs are units of background work, such as processing an uploaded video, run by the in-process job queue.
+ * They are stored so that queued work survives restarts and clients can poll their progress.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+// This schema represents a unit of background work.
+const jobSchema = new Schema(
+  {
+    type: { type: String, required: true }, // Name of the handler that runs the job
+    payload: { type: Schema.Types.Mixed, default: {} }, // Data passed to the handler
+    video: { type: Schema.Types.ObjectId, ref: "Video" }, // Video the job works on, if any
+    status: {
+      type: String,
+      enum: ["queued", "running", "completed", "failed", "cancelled"],
+      default: "queued",
+    }, // Current state of the job
+    progress: { type: Number, default: 0, min: 0, max: 100 }, // Progress of the current attempt in percent
+    attempts: { type: Number, default: 0 }, // Number of attempts started so far
+    maxAttempts: { type: Number, default: 5 }, // Number of attempts before the job fails for good
+    runAt: { type: Date, default: Date.now }, // Earliest time the next attempt can start
+    lockedAt: { type: Date, default: null }, // Time the current attempt started (null while not running)
+    lastError: { type: String }, // Error message of the last failed attempt
+    completedAt: { type: Date }, // Time the job completed, failed for good or was cancelled
+  },
+  { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
+);
+
+// Index used by the worker to pick the next job to run
+jobSchema.index({ status: 1, runAt: 1 });
+// Index used to find the jobs of a video
+jobSchema.index({ video: 1, createdAt: -1 });
+
+// Create and export the Job model
+export const Job = mongoose.model("Job", jobSchema);
@@ -1,4 +1,10 @@
+/**
+ * @fileoverview This file defines the LikeDislike model for the YouTube redesign backend application.
+ * It includes the schema definition, indexes and static helpers for the LikeDislike model.
+ */
+
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 const likeDislikeSchema = new Schema(
   {
@@ -23,4 +29,104 @@ const likeDislikeSchema = new Schema(
   { timestamps: true }
 ); // Automatically adds createdAt and updatedAt timestamps
 
+// A user can only react once per target, so each target type gets its own unique index
+["video", "post", "comment"].forEach((target) => {
+  likeDislikeSchema.index(
+    { [target]: 1, likedBy: 1 },
+    {
+      unique: true,
+      partialFilterExpression: { [target]: { $exists: true } },
+    }
+  );
+});
+
+/**
+ * Gets the like/dislike counts of a target and the reaction of the given user.
+ * @param {string} target - The target field ("video", "post" or "comment").
+ * @param {string} targetId - The ID of the target.
+ * @param {string} [userId] - The ID of the user whose reaction should be returned.
+ * @returns {Object} An object with likesCount, dislikesCount and userReaction ("like", "dislike" or null).
+ */
+likeDislikeSchema.statics.getSummary = async function (
+  target,
+  targetId,
+  userId
+) {
+  const [counts, userReaction] = await Promise.all([
+    this.aggregate([
+      { $match: { [target]: new mongoose.Types.ObjectId(targetId) } },
+      { $group: { _id: "$isLike", count: { $sum: 1 } } },
+    ]),
+    userId ? this.findOne({ [target]: targetId, likedBy: userId }) : null,
+  ]);
+
+  return {
+    likesCount: counts.find((count) => count._id === true)?.count || 0,
+    dislikesCount: counts.find((count) => count._id === false)?.count || 0,
+    userReaction: userReaction
+      ? userReaction.isLike
+        ? "like"
+        : "dislike"
+      : null,
+  };
+};
+
+/**
+ * Builds the aggregation stages that attach like/dislike counts and the reaction of a user to each document.
+ * @param {string} target - The target field ("video", "post" or "comment").
+ * @param {string} [userId] - The ID of the user whose reaction should be attached.
+ * @returns {Array} The aggregation stages adding likesCount, dislikesCount and userReaction.
+ */
+export const reactionSummaryStages = (target, userId) => [
+  {
+    $lookup: {
+      from: "likedislikes",
+      localField: "_id",
+      foreignField: target,
+      as: "reactionSummary",
+      pipeline: [
+        {
+          $group: {
+            _id: null,
+            likesCount: { $sum: { $cond: ["$isLike", 1, 0] } },
+            dislikesCount: { $sum: { $cond: ["$isLike", 0, 1] } },
+            // null sorts before strings, so $max picks the user's reaction if there is one
+            userReaction: {
+              $max: {
+                $cond: [
+                  {
+                    $eq: [
+                      "$likedBy",
+                      userId ? new mongoose.Types.ObjectId(userId) : null,
+                    ],
+                  },
+                  { $cond: ["$isLike", "like", "dislike"] },
+                  null,
+                ],
+              },
+            },
+          },
+        },
+      ],
+    },
+  },
+  {
+    $addFields: {
+      likesCount: {
+        $ifNull: [{ $first: "$reactionSummary.likesCount" }, 0],
+      },
+      dislikesCount: {
+        $ifNull: [{ $first: "$reactionSummary.dislikesCount" }, 0],
+      },
+      userReaction: {
+        $ifNull: [{ $first: "$reactionSummary.userReaction" }, null],
+      },
+    },
+  },
+  { $project: { reactionSummary: 0 } },
+];
+
+// Add pagination plugin to the like/dislike schema
+likeDislikeSchema.plugin(mongooseAggregatePaginate);
+
 export const LikeDislike = mongoose.model("LikeDislike", likeDislikeSchema);
@@ -0,0 +1,70 @@
+/**
+ * @fileoverview This file defines the Playlist model for the YouTube redesign backend application.
+ * It includes the schema definition, indexes, plugins and static helpers for the Playlist model.
+ */
+
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// This schema represents an ordered list of videos created by a user.
+const playlistSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 150 }, // Name of the playlist
+    description: { type: String, trim: true, default: "" }, // Description of the playlist
+
+    videos: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Video",
+      },
+    ], // References to the videos in the playlist, in playback order
+
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }, // Reference to the user who owns the playlist
+
+    status: {
+      type: String,
+      enum: ["public", "private", "unlisted"],
+      default: "private",
+    }, // Visibility of the playlist (public, private, unlisted)
+
+    isWatchLater: { type: Boolean, default: false }, // Whether this is the built-in "Watch later" playlist
+  },
+  { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
+);
+
+// Index used to list the playlists of a user
+playlistSchema.index({ owner: 1, updatedAt: -1 });
+// Each user has exactly one "Watch later" playlist
+playlistSchema.index(
+  { owner: 1, isWatchLater: 1 },
+  { unique: true, partialFilterExpression: { isWatchLater: true } }
+);
+
+/**
+ * Creates the "Watch later" playlist of a user if it does not exist yet.
+ * @param {string} ownerId - The ID of the user.
+ * @returns {Object} The "Watch later" playlist of the user.
+ */
+playlistSchema.statics.ensureWatchLater = async function (ownerId) {
+  return await this.findOneAndUpdate(
+    { owner: ownerId, isWatchLater: true },
+    {
+      $setOnInsert: {
+        name: "Watch later",
+        status: "private",
+        videos: [],
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Add pagination plugin to the playlist schema
+playlistSchema.plugin(mongooseAggregatePaginate);
+
+// Create and export the Playlist model
+export const Playlist = mongoose.model("Playlist", playlistSchema);
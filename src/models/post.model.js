@@ -0,0 +1,47 @@
+/**
+ * @fileoverview This file defines the Post model for the YouTube redesign backend application.
+ * It includes the schema definition, indexes and plugins for the Post model.
+ */
+
+import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+// This schema represents a community post published by a channel.
+const postSchema = new Schema(
+  {
+    content: { type: String, required: true, trim: true, maxlength: 5000 }, // Text of the post
+    image: { type: String, default: "" }, // URL of the optional image of the post
+    imageId: { type: String }, // Storage asset ID of the image
+
+    owner: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }, // Reference to the channel that published the post
+
+    isEdited: { type: Boolean, default: false }, // Whether the owner edited the post
+
+    likesDislikes: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "LikeDislike",
+      },
+    ], // References to the likes and dislikes associated with the post
+    comments: [
+      {
+        type: Schema.Types.ObjectId,
+        ref: "Comment",
+      },
+    ], // References to the comments associated with the post
+  },
+  { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
+);
+
+// Index used to list the posts of a channel, newest first
+postSchema.index({ owner: 1, createdAt: -1 });
+
+// Add pagination plugin to the post schema
+postSchema.plugin(mongooseAggregatePaginate);
+
+// Create and export the Post model
+export const Post = mongoose.model("Post", postSchema);
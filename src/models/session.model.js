@@ -0,0 +1,66 @@
+/**
+ * @fileoverview This file defines the Session model for the YouTube redesign backend application.
+ * A session represents one signed-in device and stores the hash of its current refresh token.
+ * Each rotation replaces the hash, so a session is also the family of all refresh tokens issued to that device.
+ */
+
+import mongoose, { Schema } from "mongoose";
+import { hashToken } from "../utils/tokens.js";
+
+// This schema represents a signed-in device of a user.
+const sessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    }, // ObjectId of the user the session belongs to
+    tokenHash: { type: String }, // SHA-256 hash of the current refresh token of the session
+    userAgent: { type: String, default: "" }, // User agent of the device
+    ip: { type: String, default: "" }, // IP address the session was last used from
+    lastUsedAt: { type: Date, default: Date.now }, // Last time the session was created or refreshed
+    expiresAt: { type: Date, required: true }, // Expiry of the current refresh token
+    revokedAt: { type: Date, default: null }, // Time the session was revoked (null while active)
+    revokedReason: { type: String }, // Why the session was revoked (logout, reuse, password change...)
+  },
+  { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
+);
+
+// Index used to list and revoke the active sessions of a user
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Let MongoDB remove sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Hashes a refresh token so that only its hash is stored.
+ * @param {string} token - The refresh token.
+ * @returns {string} The hex encoded SHA-256 hash of the token.
+ */
+sessionSchema.statics.hashToken = function (token) {
+  return hashToken(token);
+};
+
+/**
+ * Revokes the active sessions of a user.
+ * @param {string} userId - The ID of the user.
+ * @param {string} reason - Why the sessions are revoked.
+ * @param {string} [exceptSessionId] - The ID of a session to keep active.
+ * @returns {Object} The result of the update.
+ */
+sessionSchema.statics.revokeForUser = async function (
+  userId,
+  reason,
+  exceptSessionId
+) {
+  return await this.updateMany(
+    {
+      user: userId,
+      revokedAt: null,
+      ...(exceptSessionId ? { _id: { $ne: exceptSessionId } } : {}),
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+};
+
+// Create and export the Session model
+export const Session = mongoose.model("Session", sessionSchema);
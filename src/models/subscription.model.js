@@ -4,6 +4,7 @@
  */
 
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 // This schema represents a subscription where a user subscribes to a channel.
 const subscriptionSchema = new Schema(
@@ -22,5 +23,13 @@ const subscriptionSchema = new Schema(
   { timestamps: true } // Automatically manage createdAt and updatedAt fields
 );
 
+// A user can only subscribe to a channel once
+subscriptionSchema.index({ subscriber: 1, channel: 1 }, { unique: true });
+// Index used to list and count the subscribers of a channel
+subscriptionSchema.index({ channel: 1, createdAt: -1 });
+
+// Add pagination plugin to the subscription schema
+subscriptionSchema.plugin(mongooseAggregatePaginate);
+
 // Create and export the Subscription model
 export const Subscription = mongoose.model("Subscription", subscriptionSchema);
@@ -0,0 +1,24 @@
+/**
+ * @fileoverview This file defines the Tag model for the YouTube redesign backend application.
+ * It includes the schema definition for the Tag model.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+// This schema represents a normalized tag that videos can be associated with.
+const tagSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, lowercase: true }, // Normalized name of the tag
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    }, // URL-safe identifier of the tag
+  },
+  { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
+);
+
+// Create and export the Tag model
+export const Tag = mongoose.model("Tag", tagSchema);
@@ -0,0 +1,37 @@
+/**
+ * @fileoverview This file defines the TrendingSnapshot model for the YouTube redesign backend application.
+ * A snapshot holds the ranked trending videos of a category at the time it was computed by the trending job,
+ * along with the rank each video had in the previous snapshot, so that reads are cheap.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+// This schema represents a trending video within a snapshot.
+const trendingEntrySchema = new Schema(
+  {
+    video: { type: Schema.Types.ObjectId, ref: "Video", required: true }, // ObjectId of the trending video
+    rank: { type: Number, required: true }, // Position of the video, starting at 1
+    previousRank: { type: Number, default: null }, // Position in the previous snapshot (null if the video was not trending)
+    score: { type: Number, required: true }, // Trending score of the video
+    views: { type: Number, default: 0 }, // Views within the window
+    likes: { type: Number, default: 0 }, // Likes within the window
+  },
+  { _id: false }
+);
+
+// This schema represents the trending videos of a category at a point in time.
+const trendingSnapshotSchema = new Schema({
+  category: { type: String, default: "" }, // Category of the videos ("" for all categories)
+  computedAt: { type: Date, required: true }, // Time the snapshot was computed
+  windowHours: { type: Number, required: true }, // Length of the window the views and likes were counted over
+  entries: { type: [trendingEntrySchema], default: [] }, // Trending videos, best first
+});
+
+// Index used to read the latest snapshot of a category
+trendingSnapshotSchema.index({ category: 1, computedAt: -1 });
+
+// Create and export the TrendingSnapshot model
+export const TrendingSnapshot = mongoose.model(
+  "TrendingSnapshot",
+  trendingSnapshotSchema
+);
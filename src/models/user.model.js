@@ -3,9 +3,11 @@
  * It includes the schema definition, pre-save hooks, and instance methods for the User model.
  */
 
+import crypto from "crypto";
 import mongoose, { Schema } from "mongoose";
 import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 // This schema represents a user in the application.
 const userSchema = new Schema(
@@ -25,18 +27,30 @@ const userSchema = new Schema(
       lowercase: true,
       trim: true,
     }, // Email of the user
+    isEmailVerified: { type: Boolean, default: false }, // Whether the user confirmed their email address
 
     fullName: { type: String, required: true, trim: true }, // Full name of the user
     role: {
       type: String,
       enum: ["viewer", "creator", "admin"],
+      default: "viewer",
     }, // Role of the user (viewer, creator, admin)
+    accountStatus: {
+      type: String,
+      enum: ["active", "suspended", "banned"],
+      default: "active",
+    }, // Moderation status of the account (active, suspended, banned)
+    suspendedUntil: { type: Date }, // End of the suspension of the account
+    statusReason: { type: String, trim: true }, // Reason given by the admin for the suspension or ban
 
     avatar: { type: String }, // URL of the user's avatar
+    avatarId: { type: String }, // Storage asset ID of the avatar
     coverImage: { type: String }, // URL of the user's cover image
+    coverImageId: { type: String }, // Storage asset ID of the cover image
+
+    watchHistoryPaused: { type: Boolean, default: false }, // Whether new watch history entries are recorded
 
     password: { type: String, required: [true, "Password is required"] }, // Password of the user
-    refreshToken: { type: String }, // Refresh token for the user
   },
   { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
 );
@@ -53,14 +67,31 @@ userSchema.methods.verifyPassword = async function (password) {
   return await bcrypt.compare(password, this.password);
 };
 
-// Instance method to generate an access token
-userSchema.methods.generateAccessToken = async function () {
+// Instance method to get the reason the account may not sign in, or null if it may
+userSchema.methods.getAccessRestriction = function () {
+  if (this.accountStatus === "banned") {
+    return "This account has been banned";
+  }
+  if (
+    this.accountStatus === "suspended" &&
+    (!this.suspendedUntil || this.suspendedUntil > new Date())
+  ) {
+    return this.suspendedUntil
+      ? `This account is suspended until ${this.suspendedUntil.toISOString()}`
+      : "This account is suspended";
+  }
+  return null;
+};
+
+// Instance method to generate an access token bound to a session
+userSchema.methods.generateAccessToken = async function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sessionId,
       email: this.email,
       username: this.username,
-      fullName: this.fullName,  
+      fullName: this.fullName,
     },
     process.env.ACCESS_TOKEN_SECRET,
     {
@@ -69,17 +100,23 @@ userSchema.methods.generateAccessToken = async function () {
   );
 };
 
-// Instance method to generate a refresh token
-userSchema.methods.generateRefreshToken = async function () {
+// Instance method to generate a refresh token bound to a session
+userSchema.methods.generateRefreshToken = async function (sessionId) {
   return jwt.sign(
     {
       _id: this._id,
+      sessionId,
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
       expiresIn: process.env.REFRESH_TOKEN_EXPIRY,
+      // Unique ID so that tokens rotated within the same second still differ
+      jwtid: crypto.randomUUID(),
     }
   );
 };
 
+// Add pagination plugin to the user schema
+userSchema.plugin(mongooseAggregatePaginate);
+
 export const User = mongoose.model("User", userSchema);
@@ -6,14 +6,36 @@
 import mongoose, { Schema } from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
+/**
+ * Tells whether a video finished processing, in which case its files are required.
+ * @returns {boolean} Whether the video is ready.
+ */
+function isReady() {
+  return this.processingStatus === "ready";
+}
+
+/**
+ * Removes the location of the video file from a serialized video, so that access to it is checked by the stream endpoint.
+ * @param {Object} doc - The video document.
+ * @param {Object} ret - The plain object being serialized.
+ * @returns {Object} The plain object without the video file.
+ */
+function hideVideoFile(doc, ret) {
+  delete ret.videoFile;
+  delete ret.videoFileId;
+  return ret;
+}
+
 // This schema represents a video uploaded by a user.
 const videoSchema = new Schema(
   {
     title: { type: String, required: true, trim: true }, // Title of the video
     description: { type: String, trim: true }, // Description of the video
 
-    videoFile: { type: String, required: true }, // URL of the video file
-    thumbnail: { type: String, required: true }, // URL of the thumbnail image
+    videoFile: { type: String, required: isReady }, // URL of the video file
+    videoFileId: { type: String }, // Storage asset ID of the video file
+    thumbnail: { type: String, required: isReady }, // URL of the thumbnail image
+    thumbnailId: { type: String }, // Storage asset ID of the thumbnail image
 
     tags: { type: [String], default: [] }, // Tags associated with the video
     category: { type: String, default: "" }, // Category of the video
@@ -27,6 +49,12 @@ const videoSchema = new Schema(
       enum: ["public", "private", "unlisted"],
       default: "public",
     }, // Status of the video (public, private, unlisted)
+    processingStatus: {
+      type: String,
+      enum: ["processing", "ready", "failed"],
+      default: "ready",
+    }, // Whether the uploaded files are still being processed, ready to watch or failed to process
+    processingError: { type: String }, // Why processing failed
 
     likesDislikes: [
       {
@@ -41,8 +69,33 @@ const videoSchema = new Schema(
       },
     ], // References to the comments associated with the video
   },
-  { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
+  {
+    timestamps: true, // Automatically adds createdAt and updatedAt timestamps
+    toJSON: { transform: hideVideoFile }, // Video files are only reachable through the stream endpoint
+  }
+);
+
+// Text index used for full-text search over the title, description and tags
+videoSchema.index(
+  { title: "text", description: "text", tags: "text" },
+  { weights: { title: 5, tags: 3, description: 1 } }
 );
+// Index used to list the videos of channels, newest first
+videoSchema.index({ owner: 1, createdAt: -1 });
+
+/**
+ * Tells whether a user can see the video.
+ * Private videos and videos that are not ready are only visible to their owner.
+ * @param {string} [userId] - The ID of the user, if logged in.
+ * @returns {boolean} Whether the video is visible to the user.
+ */
+videoSchema.methods.isVisibleTo = function (userId) {
+  // The owner may be populated, in which case its _id is compared
+  if (userId && this.owner?._id?.equals(userId)) {
+    return true;
+  }
+  return this.status !== "private" && this.processingStatus === "ready";
+};
 
 // Add pagination plugin to the video schema
 videoSchema.plugin(mongooseAggregatePaginate);
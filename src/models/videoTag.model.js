@@ -1,4 +1,12 @@
+/**
+ * @fileoverview This file defines the VideoTag model for the YouTube redesign backend application.
+ * It joins videos to their normalized tags and includes a static helper to keep the join in sync.
+ */
+
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { Tag } from "./tag.model.js";
+import { slugifyTag } from "../utils/tags.js";
 
 // This schema represents a video tag associated with a video.
 const videoTagSchema = new Schema(
@@ -15,5 +23,52 @@ const videoTagSchema = new Schema(
   { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
 );
 
+// A tag is associated with a video at most once
+videoTagSchema.index({ video: 1, tag: 1 }, { unique: true });
+// Index used to list the videos of a tag and to rank tags by recent usage
+videoTagSchema.index({ tag: 1, createdAt: -1 });
+videoTagSchema.index({ createdAt: -1 });
+
+/**
+ * Replaces the tags associated with a video, creating missing tags on the way.
+ * @param {string} videoId - The ID of the video.
+ * @param {Array} tagNames - The normalized tag names of the video.
+ * @returns {Array} The tag documents associated with the video.
+ */
+videoTagSchema.statics.syncForVideo = async function (videoId, tagNames) {
+  // Create the tags that do not exist yet, deduplicated by slug
+  const tags = await Promise.all(
+    tagNames.map((name) =>
+      Tag.findOneAndUpdate(
+        { slug: slugifyTag(name) },
+        { $setOnInsert: { name } },
+        { upsert: true, new: true }
+      )
+    )
+  );
+  const tagIds = tags.map((tag) => tag._id);
+
+  // Remove the associations with tags the video no longer has
+  await this.deleteMany({ video: videoId, tag: { $nin: tagIds } });
+
+  // Add the associations that are missing, keeping the creation date of existing ones
+  if (tagIds.length) {
+    await this.bulkWrite(
+      tagIds.map((tagId) => ({
+        updateOne: {
+          filter: { video: videoId, tag: tagId },
+          update: { $setOnInsert: { video: videoId, tag: tagId } },
+          upsert: true,
+        },
+      }))
+    );
+  }
+
+  return tags;
+};
+
+// Add pagination plugin to the video tag schema
+videoTagSchema.plugin(mongooseAggregatePaginate);
+
 // Create and export the VideoTag model
 export const VideoTag = mongoose.model("VideoTag", videoTagSchema);
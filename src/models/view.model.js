@@ -0,0 +1,60 @@
+/**
+ * @fileoverview This file defines the View model for the YouTube redesign backend application.
+ * It records which viewers have recently been counted for a video so that repeated views can be deduplicated.
+ */
+
+import mongoose, { Schema } from "mongoose";
+
+// This schema represents a counted view of a video by a user or an anonymous viewer.
+const viewSchema = new Schema(
+  {
+    video: {
+      type: Schema.Types.ObjectId,
+      ref: "Video",
+      required: true,
+    }, // ObjectId of the viewed video
+    viewerKey: { type: String, required: true }, // User ID or hashed anonymous fingerprint of the viewer
+    expiresAt: { type: Date, required: true }, // End of the window in which further views are not counted
+  },
+  { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
+);
+
+// A viewer has at most one view record per video
+viewSchema.index({ video: 1, viewerKey: 1 }, { unique: true });
+// Let MongoDB remove view records once their deduplication window has passed
+viewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Builds the viewer key of a logged-in user.
+ * @param {string} userId - The ID of the user.
+ * @returns {string} The viewer key.
+ */
+viewSchema.statics.getUserViewerKey = (userId) => `user:${userId}`;
+
+/**
+ * Registers a view of a video unless the viewer was already counted within the deduplication window.
+ * @param {string} videoId - The ID of the viewed video.
+ * @param {string} viewerKey - The key identifying the viewer.
+ * @param {number} windowMs - The length of the deduplication window in milliseconds.
+ * @returns {boolean} True if the view should be counted, false otherwise.
+ */
+viewSchema.statics.register = async function (videoId, viewerKey, windowMs) {
+  const now = new Date();
+
+  try {
+    // Only a missing or expired record can be (re)claimed, so concurrent requests count once
+    await this.findOneAndUpdate(
+      { video: videoId, viewerKey, expiresAt: { $lte: now } },
+      { $set: { expiresAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    // A duplicate key means the viewer already has an active record
+    if (error?.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Create and export the View model
+export const View = mongoose.model("View", viewSchema);
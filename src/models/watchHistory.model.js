@@ -3,6 +3,7 @@
  * It includes the schema definition for the WatchHistory model.
  */
 import mongoose, { Schema } from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
 
 // This schema represents the watch history of a user for a specific video.
 const watchHistorySchema = new Schema(
@@ -15,13 +16,18 @@ const watchHistorySchema = new Schema(
       type: Schema.Types.ObjectId,
       ref: "User",
     }, // ObjectId of the user who watched the video
-    progress: { type: Number, default: 0 }, // Progress of the video watched
+    progress: { type: Number, default: 0, min: 0 }, // Progress of the video watched in seconds
   },
   { timestamps: true } // Automatically adds createdAt and updatedAt timestamps
-); 
+);
 
 // Create a unique index on the combination of video and owner fields
 watchHistorySchema.index({ video: 1, owner: 1 }, { unique: true });
+// Index used to list the watch history of a user, most recently watched first
+watchHistorySchema.index({ owner: 1, updatedAt: -1 });
+
+// Add pagination plugin to the watch history schema
+watchHistorySchema.plugin(mongooseAggregatePaginate);
 
 // Create and export the WatchHistory model
 export const WatchHistory = mongoose.model("WatchHistory", watchHistorySchema);
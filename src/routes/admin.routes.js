@@ -0,0 +1,36 @@
+/**
+ * @fileoverview This file defines the admin-only routes in the YouTube redesign backend application.
+ * It includes routes for listing users and changing their role or account status.
+ */
+
+import { Router } from "express";
+import {
+  getAllUsers,
+  updateUserRole,
+  updateUserStatus,
+} from "../controllers/admin.controller.js";
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  getAllUsersSchema,
+  updateUserRoleSchema,
+  updateUserStatusSchema,
+} from "../validators/admin.validator.js";
+
+const router = Router();
+
+// Apply JWT validation and admin authorization middlewares to all routes
+router.use(verifyJWT, authorize("admin"));
+
+// Route for listing users
+router.route("/users").get(validate(getAllUsersSchema), getAllUsers);
+// Route for changing the role of a user
+router
+  .route("/users/:userId/role")
+  .patch(validate(updateUserRoleSchema), updateUserRole);
+// Route for suspending, banning or reactivating a user
+router
+  .route("/users/:userId/status")
+  .patch(validate(updateUserStatusSchema), updateUserStatus);
+
+export default router;
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview This file defines the routes for comment-related operations in the YouTube redesign backend application.
+ * It includes routes for listing, adding, editing, deleting and moderating comments.
+ */
+
+import { Router } from "express";
+import {
+  getVideoComments,
+  getPostComments,
+  getCommentReplies,
+  addVideoComment,
+  addPostComment,
+  updateComment,
+  deleteComment,
+  togglePinComment,
+  toggleHideComment,
+} from "../controllers/comment.controller.js";
+import { verifyJWT, optionalAuth } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  videoCommentsSchema,
+  addVideoCommentSchema,
+  postCommentsSchema,
+  addPostCommentSchema,
+  commentParamsSchema,
+  updateCommentSchema,
+  commentRepliesSchema,
+} from "../validators/comment.validator.js";
+
+const router = Router();
+
+// Route for getting and adding comments on a video
+router
+  .route("/v/:videoId")
+  .get(optionalAuth, validate(videoCommentsSchema), getVideoComments)
+  .post(verifyJWT, validate(addVideoCommentSchema), addVideoComment);
+// Route for getting and adding comments on a community post
+router
+  .route("/p/:postId")
+  .get(optionalAuth, validate(postCommentsSchema), getPostComments)
+  .post(verifyJWT, validate(addPostCommentSchema), addPostComment);
+
+// Route for updating and deleting a comment
+router
+  .route("/:commentId")
+  .patch(verifyJWT, validate(updateCommentSchema), updateComment)
+  .delete(verifyJWT, validate(commentParamsSchema), deleteComment);
+// Route for getting the replies to a comment
+router
+  .route("/:commentId/replies")
+  .get(optionalAuth, validate(commentRepliesSchema), getCommentReplies);
+// Routes for pinning and hiding a comment as the video owner
+router
+  .route("/:commentId/pin")
+  .patch(verifyJWT, validate(commentParamsSchema), togglePinComment);
+router
+  .route("/:commentId/hide")
+  .patch(verifyJWT, validate(commentParamsSchema), toggleHideComment);
+
+export default router;
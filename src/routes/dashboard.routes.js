@@ -0,0 +1,34 @@
+/**
+ * @fileoverview This file defines the routes for the creator dashboard in the YouTube redesign backend application.
+ * It includes routes for the overview of the channel and for the statistics of its videos.
+ */
+
+import { Router } from "express";
+import {
+  getChannelOverview,
+  getVideosStats,
+  getVideoStats,
+} from "../controllers/dashboard.controller.js";
+import { verifyJWT, authorize } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  channelOverviewSchema,
+  videosStatsSchema,
+  videoStatsSchema,
+} from "../validators/dashboard.validator.js";
+
+const router = Router();
+
+// Only creators and admins have a dashboard
+router.use(verifyJWT, authorize("creator", "admin"));
+
+// Route for getting the totals and time series of the channel
+router
+  .route("/overview")
+  .get(validate(channelOverviewSchema), getChannelOverview);
+// Route for getting the statistics of every video of the channel
+router.route("/videos").get(validate(videosStatsSchema), getVideosStats);
+// Route for getting the totals and time series of a single video
+router.route("/videos/:videoId").get(validate(videoStatsSchema), getVideoStats);
+
+export default router;
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview This file defines the routes for the video feeds in the YouTube redesign backend application.
+ * It includes routes for the ranked home feed and for the latest videos of subscribed channels.
+ */
+
+import { Router } from "express";
+import {
+  getHomeFeed,
+  getSubscriptionsFeed,
+} from "../controllers/feed.controller.js";
+import { verifyJWT, optionalAuth } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  homeFeedSchema,
+  subscriptionsFeedSchema,
+} from "../validators/feed.validator.js";
+
+const router = Router();
+
+// Route for getting the home feed, personalized for logged-in users
+router.route("/home").get(optionalAuth, validate(homeFeedSchema), getHomeFeed);
+// Route for getting the latest videos of the channels the user subscribed to
+router
+  .route("/subscriptions")
+  .get(verifyJWT, validate(subscriptionsFeedSchema), getSubscriptionsFeed);
+
+export default router;
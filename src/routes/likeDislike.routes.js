@@ -0,0 +1,66 @@
+/**
+ * @fileoverview This file defines the routes for like/dislike operations in the YouTube redesign backend application.
+ * It includes routes for toggling reactions, getting reaction counts and listing liked videos.
+ */
+
+import { Router } from "express";
+import {
+  toggleVideoReaction,
+  getVideoReactions,
+  togglePostReaction,
+  getPostReactions,
+  toggleCommentReaction,
+  getCommentReactions,
+  getLikedVideos,
+} from "../controllers/likeDislike.controller.js";
+import { verifyJWT, optionalAuth } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  videoReactionsSchema,
+  toggleVideoReactionSchema,
+  postReactionsSchema,
+  togglePostReactionSchema,
+  commentReactionsSchema,
+  toggleCommentReactionSchema,
+  likedVideosSchema,
+} from "../validators/likeDislike.validator.js";
+
+const router = Router();
+
+// Route for getting the videos liked by the current user
+router
+  .route("/videos")
+  .get(verifyJWT, validate(likedVideosSchema), getLikedVideos);
+
+// Route for getting the reactions of a video
+router
+  .route("/v/:videoId")
+  .get(optionalAuth, validate(videoReactionsSchema), getVideoReactions);
+// Route for toggling a like or dislike on a video
+router
+  .route("/v/:videoId/:reaction(like|dislike)")
+  .post(verifyJWT, validate(toggleVideoReactionSchema), toggleVideoReaction);
+
+// Route for getting the reactions of a community post
+router
+  .route("/p/:postId")
+  .get(optionalAuth, validate(postReactionsSchema), getPostReactions);
+// Route for toggling a like or dislike on a community post
+router
+  .route("/p/:postId/:reaction(like|dislike)")
+  .post(verifyJWT, validate(togglePostReactionSchema), togglePostReaction);
+
+// Route for getting the reactions of a comment
+router
+  .route("/c/:commentId")
+  .get(optionalAuth, validate(commentReactionsSchema), getCommentReactions);
+// Route for toggling a like or dislike on a comment
+router
+  .route("/c/:commentId/:reaction(like|dislike)")
+  .post(
+    verifyJWT,
+    validate(toggleCommentReactionSchema),
+    toggleCommentReaction
+  );
+
+export default router;
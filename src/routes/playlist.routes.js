@@ -0,0 +1,53 @@
+/**
+ * @fileoverview This file defines the routes for playlist-related operations in the YouTube redesign backend application.
+ * It includes routes for managing playlists and the videos in them.
+ */
+
+import { Router } from "express";
+import {
+  createPlaylist,
+  getUserPlaylists,
+  getPlaylistById,
+  updatePlaylist,
+  deletePlaylist,
+  addVideoToPlaylist,
+  removeVideoFromPlaylist,
+  moveVideoInPlaylist,
+} from "../controllers/playlist.controller.js";
+import { verifyJWT, optionalAuth } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createPlaylistSchema,
+  userPlaylistsSchema,
+  playlistParamsSchema,
+  updatePlaylistSchema,
+  playlistVideoSchema,
+  moveVideoSchema,
+} from "../validators/playlist.validator.js";
+
+const router = Router();
+
+// Route for creating a playlist
+router
+  .route("/")
+  .post(verifyJWT, validate(createPlaylistSchema), createPlaylist);
+// Route for getting the playlists of a user
+router
+  .route("/user/:userId")
+  .get(optionalAuth, validate(userPlaylistsSchema), getUserPlaylists);
+
+// Route for getting, updating and deleting a playlist
+router
+  .route("/:playlistId")
+  .get(optionalAuth, validate(playlistParamsSchema), getPlaylistById)
+  .patch(verifyJWT, validate(updatePlaylistSchema), updatePlaylist)
+  .delete(verifyJWT, validate(playlistParamsSchema), deletePlaylist);
+
+// Route for adding, removing and moving a video in a playlist
+router
+  .route("/:playlistId/videos/:videoId")
+  .post(verifyJWT, validate(playlistVideoSchema), addVideoToPlaylist)
+  .delete(verifyJWT, validate(playlistVideoSchema), removeVideoFromPlaylist)
+  .patch(verifyJWT, validate(moveVideoSchema), moveVideoInPlaylist);
+
+export default router;
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview This file defines the routes for community post operations in the YouTube redesign backend application.
+ * It includes routes for creating, listing, editing and deleting posts.
+ */
+
+import { Router } from "express";
+import {
+  createPost,
+  getChannelPosts,
+  getPostById,
+  updatePost,
+  deletePost,
+} from "../controllers/post.controller.js";
+import {
+  verifyJWT,
+  optionalAuth,
+  requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
+import { upload } from "../middlewares/multer.middleware.js";
+import { uploadLimiter } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  createPostSchema,
+  channelPostsSchema,
+  postParamsSchema,
+  updatePostSchema,
+} from "../validators/post.validator.js";
+
+const router = Router();
+
+// Route for creating a post
+router
+  .route("/")
+  .post(
+    verifyJWT,
+    requireVerifiedEmail,
+    uploadLimiter,
+    upload.single("image"),
+    validate(createPostSchema),
+    createPost
+  );
+// Route for getting the posts of a channel
+router
+  .route("/channel/:channelId")
+  .get(optionalAuth, validate(channelPostsSchema), getChannelPosts);
+
+// Route for getting, updating and deleting a post
+router
+  .route("/:postId")
+  .get(optionalAuth, validate(postParamsSchema), getPostById)
+  .patch(
+    verifyJWT,
+    uploadLimiter,
+    upload.single("image"),
+    validate(updatePostSchema),
+    updatePost
+  )
+  .delete(verifyJWT, validate(postParamsSchema), deletePost);
+
+export default router;
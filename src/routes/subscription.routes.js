@@ -0,0 +1,36 @@
+/**
+ * @fileoverview This file defines the routes for subscription-related operations in the YouTube redesign backend application.
+ * It includes routes for subscribing to channels and listing subscribers and subscriptions.
+ */
+
+import { Router } from "express";
+import {
+  toggleSubscription,
+  getChannelSubscribers,
+  getSubscribedChannels,
+} from "../controllers/subscription.controller.js";
+import { verifyJWT, optionalAuth } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  toggleSubscriptionSchema,
+  channelSubscribersSchema,
+  subscribedChannelsSchema,
+} from "../validators/subscription.validator.js";
+
+const router = Router();
+
+// Route for subscribing to or unsubscribing from a channel
+router
+  .route("/c/:channelId")
+  .post(verifyJWT, validate(toggleSubscriptionSchema), toggleSubscription);
+// Route for getting the subscribers of a channel
+router
+  .route("/c/:channelId/subscribers")
+  .get(optionalAuth, validate(channelSubscribersSchema), getChannelSubscribers);
+
+// Route for getting the channels a user is subscribed to
+router
+  .route("/u/:subscriberId")
+  .get(optionalAuth, validate(subscribedChannelsSchema), getSubscribedChannels);
+
+export default router;
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview This file defines the routes for tag-related operations in the YouTube redesign backend application.
+ * It includes routes for trending tags and for listing the videos of a tag.
+ */
+
+import { Router } from "express";
+import {
+  getTagVideos,
+  getTrendingTags,
+} from "../controllers/tag.controller.js";
+import { optionalAuth } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  trendingTagsSchema,
+  tagVideosSchema,
+} from "../validators/tag.validator.js";
+
+const router = Router();
+
+// Tags can be browsed without logging in
+router.use(optionalAuth);
+
+// Route for getting the trending tags
+router.route("/trending").get(validate(trendingTagsSchema), getTrendingTags);
+// Route for getting the videos of a tag
+router.route("/:slug/videos").get(validate(tagVideosSchema), getTagVideos);
+
+export default router;
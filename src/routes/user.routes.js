@@ -10,18 +10,49 @@ import {
   logoutUser,
   refreshAccessToken,
   currentPasswordChange,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
   getCurrentUser,
   updateAccountDetails,
   updateUserAvatar,
   updateUserCoverImage,
+  becomeCreator,
   getUserChannelProfile,
 } from "../controllers/user.controller.js";
+import {
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+} from "../controllers/session.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { verifyJWT, optionalAuth } from "../middlewares/auth.middleware.js";
+import {
+  loginIpLimiter,
+  loginAccountLimiter,
+  registerLimiter,
+  refreshLimiter,
+  uploadLimiter,
+} from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  registerSchema,
+  loginSchema,
+  refreshTokenSchema,
+  sessionParamsSchema,
+  changePasswordSchema,
+  verifyEmailSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  updateAccountDetailsSchema,
+  channelProfileSchema,
+} from "../validators/user.validator.js";
 
 const router = Router();
 // Route for user registration
 router.route("/register").post(
+  registerLimiter,
   upload.fields([
     {
       name: "avatar",
@@ -32,29 +63,69 @@ router.route("/register").post(
       maxCount: 1,
     },
   ]),
+  validate(registerSchema),
   registerUser
 );
 
 // Route for user login
-router.route("/login").post(loginUser);
+router
+  .route("/login")
+  .post(loginIpLimiter, validate(loginSchema), loginAccountLimiter, loginUser);
 // Route for user logout
 router.route("/logout").post(verifyJWT, logoutUser);
 
 // Route for refreshing access token
-router.route("/refresh-token").post(refreshAccessToken);
+router
+  .route("/refresh-token")
+  .post(refreshLimiter, validate(refreshTokenSchema), refreshAccessToken);
+// Routes for listing and revoking the sessions (signed-in devices) of the current user
+router
+  .route("/sessions")
+  .get(verifyJWT, getActiveSessions)
+  .delete(verifyJWT, revokeAllSessions);
+router
+  .route("/sessions/:sessionId")
+  .delete(verifyJWT, validate(sessionParamsSchema), revokeSession);
 // Route for changing current password
-router.route("/change-password").post(verifyJWT, currentPasswordChange);
+router
+  .route("/change-password")
+  .post(verifyJWT, validate(changePasswordSchema), currentPasswordChange);
+// Routes for verifying the email address of the user
+router.route("/verify-email/request").post(verifyJWT, requestEmailVerification);
+router.route("/verify-email").post(validate(verifyEmailSchema), verifyEmail);
+// Routes for resetting a forgotten password
+router
+  .route("/forgot-password")
+  .post(validate(forgotPasswordSchema), forgotPassword);
+router
+  .route("/reset-password")
+  .post(validate(resetPasswordSchema), resetPassword);
 // Route for getting current user details
 router.route("/current-user").get(verifyJWT, getCurrentUser);
 
 // Route for updating account details
-router.route("/update-account-details").patch(verifyJWT, updateAccountDetails);
+router
+  .route("/update-account-details")
+  .patch(verifyJWT, validate(updateAccountDetailsSchema), updateAccountDetails);
 // Route for updating user avatar
-router.route("/update-avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar);
+router
+  .route("/update-avatar")
+  .patch(verifyJWT, uploadLimiter, upload.single("avatar"), updateUserAvatar);
 // Route for updating user cover image
-router.route("/update-cover-image").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage);
+router
+  .route("/update-cover-image")
+  .patch(
+    verifyJWT,
+    uploadLimiter,
+    upload.single("coverImage"),
+    updateUserCoverImage
+  );
+// Route for promoting the current user from viewer to creator
+router.route("/become-creator").post(verifyJWT, becomeCreator);
 
 // Route for getting user channel profile
-router.route("/c/:username").get(verifyJWT, getUserChannelProfile)
+router
+  .route("/c/:username")
+  .get(optionalAuth, validate(channelProfileSchema), getUserChannelProfile);
 
 export default router;
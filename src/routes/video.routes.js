@@ -1,18 +1,48 @@
 import { Router } from "express";
-import { publishVideo, getAllVideos } from "../controllers/video.controller.js";
-import { verifyJWT } from "../middlewares/auth.middleware.js";
+import {
+  publishVideo,
+  getAllVideos,
+  getVideoById,
+  updateVideo,
+  updateVideoThumbnail,
+  deleteVideo,
+  registerVideoView,
+  getVideoProcessingStatus,
+  streamVideo,
+  getRelatedVideos,
+  getTrendingVideos,
+} from "../controllers/video.controller.js";
+import {
+  verifyJWT,
+  optionalAuth,
+  authorize,
+  requireVerifiedEmail,
+} from "../middlewares/auth.middleware.js";
 import { upload } from "../middlewares/multer.middleware.js";
+import { uploadLimiter } from "../middlewares/rateLimit.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  publishVideoSchema,
+  getAllVideosSchema,
+  videoParamsSchema,
+  updateVideoSchema,
+  registerVideoViewSchema,
+  relatedVideosSchema,
+  trendingVideosSchema,
+} from "../validators/video.validator.js";
 
 const router = Router();
 
-// Apply JWT validation middleware to all routes
-router.use(verifyJWT);
-
 // Route for publishing a video and getting all videos
 router
   .route("/")
-  .get(getAllVideos)
+  .get(optionalAuth, validate(getAllVideosSchema), getAllVideos)
   .post(
+    // Only creators and admins with a verified email can publish videos
+    verifyJWT,
+    authorize("creator", "admin"),
+    requireVerifiedEmail,
+    uploadLimiter,
     upload.fields([
       {
         name: "videoFile",
@@ -23,7 +53,51 @@ router
         maxCount: 1,
       },
     ]),
+    validate(publishVideoSchema),
     publishVideo
   );
 
+// Route for getting the trending videos, declared before the routes of a single video
+router
+  .route("/trending")
+  .get(validate(trendingVideosSchema), getTrendingVideos);
+
+// Route for getting, updating and deleting a single video
+router
+  .route("/:videoId")
+  .get(optionalAuth, validate(videoParamsSchema), getVideoById)
+  .patch(verifyJWT, validate(updateVideoSchema), updateVideo)
+  .delete(verifyJWT, validate(videoParamsSchema), deleteVideo);
+
+// Route for replacing the thumbnail of a video
+router
+  .route("/:videoId/thumbnail")
+  .patch(
+    verifyJWT,
+    uploadLimiter,
+    upload.single("thumbnail"),
+    validate(videoParamsSchema),
+    updateVideoThumbnail
+  );
+
+// Route for polling the processing of an uploaded video
+router
+  .route("/:videoId/processing")
+  .get(verifyJWT, validate(videoParamsSchema), getVideoProcessingStatus);
+
+// Route for streaming the file of a video, by a logged-in or anonymous viewer
+router
+  .route("/:videoId/stream")
+  .get(optionalAuth, validate(videoParamsSchema), streamVideo);
+
+// Route for getting the videos to watch next, personalized for logged-in users
+router
+  .route("/:videoId/related")
+  .get(optionalAuth, validate(relatedVideosSchema), getRelatedVideos);
+
+// Route for registering a view of a video, by a logged-in or anonymous viewer
+router
+  .route("/:videoId/views")
+  .post(optionalAuth, validate(registerVideoViewSchema), registerVideoView);
+
 export default router;
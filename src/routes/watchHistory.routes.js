@@ -0,0 +1,44 @@
+/**
+ * @fileoverview This file defines the routes for watch history operations in the YouTube redesign backend application.
+ * It includes routes for recording playback progress, listing and clearing the history, and pausing it.
+ */
+
+import { Router } from "express";
+import {
+  recordWatchProgress,
+  getUserWatchHistory,
+  removeFromWatchHistory,
+  clearWatchHistory,
+  updateWatchHistoryPause,
+} from "../controllers/watchHistory.controller.js";
+import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import {
+  watchHistorySchema,
+  watchHistoryPauseSchema,
+  recordWatchProgressSchema,
+  watchHistoryVideoSchema,
+} from "../validators/watchHistory.validator.js";
+
+const router = Router();
+
+// Apply JWT validation middleware to all routes
+router.use(verifyJWT);
+
+// Route for getting and clearing the watch history
+router
+  .route("/")
+  .get(validate(watchHistorySchema), getUserWatchHistory)
+  .delete(clearWatchHistory);
+// Route for pausing or resuming the watch history
+router
+  .route("/pause")
+  .patch(validate(watchHistoryPauseSchema), updateWatchHistoryPause);
+
+// Route for recording progress and removing a single video from the history
+router
+  .route("/:videoId")
+  .post(validate(recordWatchProgressSchema), recordWatchProgress)
+  .delete(validate(watchHistoryVideoSchema), removeFromWatchHistory);
+
+export default router;
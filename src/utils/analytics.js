@@ -0,0 +1,93 @@
+/**
+ * @fileoverview This file contains utility functions for the channel statistics of the YouTube redesign backend application.
+ * Statistics are kept per UTC day and grouped into day, week (starting on Monday) or month buckets.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the start of the UTC day of a date.
+ * @param {Date} date - The date.
+ * @returns {Date} The start of the day.
+ */
+const startOfUtcDay = (date) =>
+  new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+
+/**
+ * Adds days to a date.
+ * @param {Date} date - The date.
+ * @param {number} days - The number of days to add, negative to go back.
+ * @returns {Date} The new date.
+ */
+const addUtcDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Gets the start of the bucket a day belongs to.
+ * @param {Date} date - The start of the day.
+ * @param {string} interval - The size of the buckets ("day", "week" or "month").
+ * @returns {Date} The start of the bucket.
+ */
+const startOfBucket = (date, interval) => {
+  if (interval === "month") {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+  if (interval === "week") {
+    // getUTCDay is 0 on Sunday, weeks start on Monday
+    return addUtcDays(date, -((date.getUTCDay() + 6) % 7));
+  }
+  return date;
+};
+
+/**
+ * Lists the starts of the buckets covering a date range.
+ * @param {Date} from - The first day of the range.
+ * @param {Date} to - The last day of the range.
+ * @param {string} interval - The size of the buckets ("day", "week" or "month").
+ * @returns {Array} The starts of the buckets, oldest first.
+ */
+const listBuckets = (from, to, interval) => {
+  const buckets = [];
+  let bucket = startOfBucket(from, interval);
+  while (bucket <= to) {
+    buckets.push(bucket);
+    bucket =
+      interval === "month"
+        ? new Date(
+            Date.UTC(bucket.getUTCFullYear(), bucket.getUTCMonth() + 1, 1)
+          )
+        : addUtcDays(bucket, interval === "week" ? 7 : 1);
+  }
+  return buckets;
+};
+
+/**
+ * Builds the statistics shown to creators from summed daily rows.
+ * @param {Object} [totals] - The sums of the daily rows.
+ * @returns {Object} The views, watch time, subscriber changes, likes, comments and average view duration.
+ */
+const summarizeStats = (totals = {}) => {
+  const views = totals.views || 0;
+  const watchTimeSeconds = totals.watchTimeSeconds || 0;
+  const viewedDurationSeconds = totals.viewedDurationSeconds || 0;
+  const subscribersGained = totals.subscribersGained || 0;
+  const subscribersLost = totals.subscribersLost || 0;
+
+  return {
+    views,
+    watchTimeSeconds,
+    averageViewDurationSeconds: views ? watchTimeSeconds / views : 0,
+    // Share of the videos watched on average, between 0 and 1 (null without views of videos with a duration)
+    averageViewDurationShare: viewedDurationSeconds
+      ? Math.min(watchTimeSeconds / viewedDurationSeconds, 1)
+      : null,
+    likes: totals.likes || 0,
+    comments: totals.comments || 0,
+    subscribersGained,
+    subscribersLost,
+    netSubscribers: subscribersGained - subscribersLost,
+  };
+};
+
+export { startOfUtcDay, addUtcDays, listBuckets, summarizeStats };
@@ -1,57 +1,144 @@
+/**
+ * @fileoverview This file contains the Cloudinary driver of the media storage of the YouTube redesign backend application.
+ * Assets are identified by their resource type, delivery type, public ID (including its folder) and format,
+ * e.g. "video/authenticated/videos/abc123.mp4". Private assets are uploaded as "authenticated" and can only be
+ * delivered through signed URLs; keys saved before the delivery type was part of them are public "upload" assets.
+ */
+
 import { v2 as cloudinary } from "cloudinary";
-import fs from "fs";
 
-// Configuration
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
+// Delivery types an asset can be uploaded with
+const DELIVERY_TYPES = ["upload", "authenticated", "private"];
+
+// Delivery URL of an asset: resource type, delivery type, optional signature and version, then public ID and format
+const DELIVERY_URL_PATTERN =
+  /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/(upload|authenticated|private)\/(?:s--[^/]+--\/)?(?:v\d+\/)?([^?#]+)/;
+
+// Size of the chunks of large uploads; files above 100 MB must be uploaded in chunks
+const UPLOAD_CHUNK_SIZE = 20 * 1024 * 1024;
 
 /**
- * Uploads a local file to Cloudinary and removes the local file after uploading.
+ * Uploads a video in chunks, which Cloudinary requires for files above 100 MB.
  * @param {string} localFilePath - The path to the local file to be uploaded.
- * @returns {Object|null} The upload result from Cloudinary or null if the upload fails.
+ * @param {Object} options - The upload options.
+ * @returns {Object} The result of the upload.
  */
-const uploadOnCloudinary = async (localFilePath, folderName) => {
-  try {
-    // Return null if the local file path is not provided
-    if (!localFilePath) return null;
-
-    // Upload the local image file to Cloudinary
-    const uploadResult = await cloudinary.uploader.upload(localFilePath, {
-      resource_type: "auto",
-      folder: folderName,
-    });
-    console.log("Upload successful: ", uploadResult.url);
-
-    // Remove the local file after uploading to Cloudinary
-    fs.unlinkSync(localFilePath);
-    // Return the upload result from Cloudinary
-    return uploadResult;
-  } catch (error) {
-    // Remove the local file as the upload operation got failed
-    fs.unlinkSync(localFilePath);
-    console.error("Error uploading to Cloudinary: ", error);
-    return null;
-  }
+const uploadLargeVideo = (localFilePath, options) =>
+  new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_large(
+      localFilePath,
+      { ...options, resource_type: "video", chunk_size: UPLOAD_CHUNK_SIZE },
+      (error, result) => (error ? reject(error) : resolve(result))
+    );
+  });
+
+/**
+ * Splits the key of an asset into the parts used by the Cloudinary API.
+ * @param {string} key - The key of the asset.
+ * @returns {Object} The resource type, delivery type, public ID and format of the asset.
+ */
+const parseKey = (key) => {
+  const [resourceType, ...rest] = key.split("/");
+  const type = DELIVERY_TYPES.includes(rest[0]) ? rest.shift() : "upload";
+  const path = rest.join("/");
+  const extensionIndex = path.lastIndexOf(".");
+  return extensionIndex > path.lastIndexOf("/")
+    ? {
+        resourceType,
+        type,
+        publicId: path.slice(0, extensionIndex),
+        format: path.slice(extensionIndex + 1),
+      }
+    : { resourceType, type, publicId: path, format: "" };
 };
 
 /**
- * Deletes an image from Cloudinary based on its public ID.
- * @param {string} url - The URL of the image to be deleted from Cloudinary.
+ * Creates the driver that keeps media in Cloudinary.
+ * @returns {Object} The driver with upload, delete, getSignedUrl and getKeyFromUrl methods.
  */
-const deleteImageFromCloudinary = async (url) => {
-  try {
-    // Extract the public ID from the URL
-    const publicId = url.split("/").pop().split(".")[0];
-    // Delete the image from Cloudinary
-    const result = await cloudinary.uploader.destroy(publicId);
-    // Log the result of the deletion operation
-    console.log("Image deleted from Cloudinary: ", result);
-  } catch (error) {
-    console.error("Error deleting image from Cloudinary: ", error);
-  }
+const createCloudinaryDriver = () => {
+  // Configuration
+  cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+  });
+
+  return {
+    /**
+     * Uploads a local file to Cloudinary.
+     * @param {string} localFilePath - The path to the local file to be uploaded.
+     * @param {string} folderName - The folder to upload the file to.
+     * @param {Object} [options] - Upload options.
+     * @param {boolean} [options.isPrivate=false] - Only deliver the file through signed URLs.
+     * @param {boolean} [options.isVideo=false] - Upload the file as a video, in chunks.
+     * @returns {Object} The URL, key and duration (for videos) of the uploaded file.
+     */
+    upload: async (
+      localFilePath,
+      folderName,
+      { isPrivate = false, isVideo = false } = {}
+    ) => {
+      const options = {
+        type: isPrivate ? "authenticated" : "upload",
+        folder: folderName,
+      };
+      const uploadResult = isVideo
+        ? await uploadLargeVideo(localFilePath, options)
+        : await cloudinary.uploader.upload(localFilePath, {
+            ...options,
+            resource_type: "auto",
+          });
+
+      return {
+        url: uploadResult.secure_url,
+        key: `${uploadResult.resource_type}/${uploadResult.type}/${uploadResult.public_id}.${uploadResult.format}`,
+        duration: uploadResult.duration,
+      };
+    },
+
+    /**
+     * Deletes a file from Cloudinary.
+     * @param {string} key - The key of the file.
+     */
+    delete: async (key) => {
+      const { resourceType, type, publicId } = parseKey(key);
+      await cloudinary.uploader.destroy(publicId, {
+        resource_type: resourceType,
+        type,
+        invalidate: true,
+      });
+    },
+
+    /**
+     * Builds a signed delivery URL of a file that stops working after some time.
+     * Delivery URLs are served by the CDN, which answers range requests so that players can seek.
+     * @param {string} key - The key of the file.
+     * @param {number} expiresInSeconds - How long the URL works.
+     * @returns {string} The signed URL.
+     */
+    getSignedUrl: async (key, expiresInSeconds) => {
+      const { resourceType, type, publicId, format } = parseKey(key);
+      return cloudinary.url(publicId, {
+        resource_type: resourceType,
+        type,
+        format,
+        secure: true,
+        sign_url: true,
+        expires_at: Math.floor(Date.now() / 1000) + expiresInSeconds,
+      });
+    },
+
+    /**
+     * Gets the key of an asset from its delivery URL, for files saved before they had asset IDs.
+     * @param {string} url - The delivery URL of the file.
+     * @returns {string|null} The key of the file, or null if the URL is not a Cloudinary delivery URL.
+     */
+    getKeyFromUrl: (url) => {
+      const match = DELIVERY_URL_PATTERN.exec(url || "");
+      return match ? `${match[1]}/${match[2]}/${match[3]}` : null;
+    },
+  };
 };
 
-export { uploadOnCloudinary, deleteImageFromCloudinary };
+export { createCloudinaryDriver };
@@ -0,0 +1,111 @@
+/**
+ * @fileoverview This file contains the scoring function of the home feed of the YouTube redesign backend application.
+ * Each candidate video gets a score between 0 and 1 blending its recency, views, like ratio
+ * and how well it matches the tags, categories and channels the user watched.
+ */
+
+import {
+  FEED_RECENCY_HALF_LIFE_HOURS,
+  FEED_SCORE_WEIGHTS,
+} from "../constants.js";
+
+/**
+ * Scales the weights of a map so that the largest one is 1.
+ * @param {Map} weights - The weights, keyed by tag, category or channel.
+ */
+const normalizeWeights = (weights) => {
+  const max = Math.max(0, ...weights.values());
+  weights.forEach((weight, key) => weights.set(key, max ? weight / max : 0));
+};
+
+/**
+ * Learns the interests of a user from their watch history.
+ * @param {Array} historyEntries - Watch history entries with their video populated (tags, category, owner and duration).
+ * @returns {Object} The affinity of the user for tags, categories and channels, each a Map of weights between 0 and 1.
+ */
+const buildAffinityProfile = (historyEntries) => {
+  const profile = {
+    tags: new Map(),
+    categories: new Map(),
+    channels: new Map(),
+  };
+
+  const addWeight = (weights, key, weight) => {
+    if (!key) return;
+    weights.set(String(key), (weights.get(String(key)) || 0) + weight);
+  };
+
+  historyEntries.forEach(({ video, progress }) => {
+    // Deleted videos are no longer populated
+    if (!video) return;
+
+    // Videos watched further count more, so that quickly skipped videos teach little
+    const weight =
+      video.duration > 0
+        ? Math.max(Math.min(progress / video.duration, 1), 0.1)
+        : 0.5;
+
+    video.tags.forEach((tag) => addWeight(profile.tags, tag, weight));
+    addWeight(profile.categories, video.category, weight);
+    addWeight(profile.channels, video.owner, weight);
+  });
+
+  Object.values(profile).forEach(normalizeWeights);
+  return profile;
+};
+
+/**
+ * Measures how well a video matches the interests of a user.
+ * @param {Object} video - The video, with its owner populated.
+ * @param {Object|null} profile - The affinity profile of the user, or null for anonymous visitors.
+ * @returns {number} The affinity between 0 and 1.
+ */
+const getAffinity = (video, profile) => {
+  if (!profile) return 0;
+
+  const tagAffinity = Math.max(
+    0,
+    ...(video.tags || []).map((tag) => profile.tags.get(tag) || 0)
+  );
+  const categoryAffinity = profile.categories.get(video.category) || 0;
+  const channelAffinity = profile.channels.get(String(video.owner?._id)) || 0;
+
+  return (tagAffinity + categoryAffinity + channelAffinity) / 3;
+};
+
+/**
+ * Scores candidate videos and sorts them from the best match to the worst.
+ * @param {Array} videos - The candidate videos, with likesCount, dislikesCount and their owner populated.
+ * @param {Object|null} profile - The affinity profile of the user, or null for anonymous visitors.
+ * @param {number} [now=Date.now()] - The current time in milliseconds.
+ * @returns {Array} The videos with a score field, best first.
+ */
+const rankVideos = (videos, profile, now = Date.now()) => {
+  // Views are compared on a log scale against the most viewed candidate
+  const maxViews = Math.max(0, ...videos.map((video) => video.views || 0));
+
+  return videos
+    .map((video) => {
+      const ageHours = (now - new Date(video.createdAt).getTime()) / 3600000;
+      const recency =
+        0.5 ** (Math.max(ageHours, 0) / FEED_RECENCY_HALF_LIFE_HOURS);
+      const popularity = maxViews
+        ? Math.log10((video.views || 0) + 1) / Math.log10(maxViews + 1)
+        : 0;
+      // Smoothed so that a single like does not beat a well liked video
+      const likeRatio =
+        (video.likesCount + 1) / (video.likesCount + video.dislikesCount + 2);
+      const affinity = getAffinity(video, profile);
+
+      const score =
+        FEED_SCORE_WEIGHTS.recency * recency +
+        FEED_SCORE_WEIGHTS.popularity * popularity +
+        FEED_SCORE_WEIGHTS.likeRatio * likeRatio +
+        FEED_SCORE_WEIGHTS.affinity * affinity;
+
+      return { ...video, score };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+export { buildAffinityProfile, rankVideos };
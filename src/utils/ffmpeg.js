@@ -0,0 +1,82 @@
+/**
+ * @fileoverview This file contains utility functions that run FFmpeg to inspect and process uploaded videos.
+ * The binaries are found on the PATH unless FFMPEG_PATH and FFPROBE_PATH are set.
+ * FFmpeg is optional: without it, thumbnails cannot be generated and must be uploaded with the video.
+ */
+
+import { execFile } from "child_process";
+import { promisify } from "util";
+
+const execFileAsync = promisify(execFile);
+
+// Whether checkFfmpeg found a working FFmpeg binary
+let ffmpegAvailable = false;
+
+/**
+ * Checks whether the FFmpeg binary can be run. Called at startup, so that uploads needing it are refused up front.
+ * @returns {boolean} Whether FFmpeg is available.
+ */
+const checkFfmpeg = async () => {
+  try {
+    await execFileAsync(process.env.FFMPEG_PATH || "ffmpeg", ["-version"]);
+    ffmpegAvailable = true;
+  } catch {
+    ffmpegAvailable = false;
+  }
+  return ffmpegAvailable;
+};
+
+/**
+ * Tells whether thumbnails can be generated, as found by the last checkFfmpeg.
+ * @returns {boolean} Whether FFmpeg is available.
+ */
+const isFfmpegAvailable = () => ffmpegAvailable;
+
+/**
+ * Reads the duration of a video file.
+ * @param {string} filePath - The path of the video file.
+ * @returns {number} The duration in seconds.
+ */
+const probeDuration = async (filePath) => {
+  const { stdout } = await execFileAsync(
+    process.env.FFPROBE_PATH || "ffprobe",
+    [
+      "-v",
+      "error",
+      "-show_entries",
+      "format=duration",
+      "-of",
+      "default=noprint_wrappers=1:nokey=1",
+      filePath,
+    ]
+  );
+
+  const duration = Number.parseFloat(stdout);
+  if (!Number.isFinite(duration)) {
+    throw new Error(`Could not read the duration of ${filePath}`);
+  }
+  return duration;
+};
+
+/**
+ * Saves a frame of a video file as a JPEG image.
+ * @param {string} filePath - The path of the video file.
+ * @param {string} outputPath - The path of the image to create.
+ * @param {number} [atSeconds=1] - The time of the frame in seconds.
+ */
+const extractThumbnail = async (filePath, outputPath, atSeconds = 1) => {
+  await execFileAsync(process.env.FFMPEG_PATH || "ffmpeg", [
+    "-y",
+    "-ss",
+    String(atSeconds),
+    "-i",
+    filePath,
+    "-frames:v",
+    "1",
+    "-vf",
+    "scale=1280:-2",
+    outputPath,
+  ]);
+};
+
+export { checkFfmpeg, isFfmpegAvailable, probeDuration, extractThumbnail };
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview This file contains utility functions to work with local files.
+ */
+
+import fs from "fs";
+import path from "path";
+
+/**
+ * Moves a file, creating the destination directory if needed.
+ * @param {string} fromPath - The current path of the file.
+ * @param {string} toPath - The new path of the file.
+ */
+const moveFile = async (fromPath, toPath) => {
+  await fs.promises.mkdir(path.dirname(toPath), { recursive: true });
+  try {
+    await fs.promises.rename(fromPath, toPath);
+  } catch (error) {
+    // The paths can be on different devices, where files cannot be renamed into place
+    if (error.code !== "EXDEV") throw error;
+    await fs.promises.copyFile(fromPath, toPath);
+    await fs.promises.rm(fromPath, { force: true });
+  }
+};
+
+export { moveFile };
@@ -0,0 +1,262 @@
+/**
+ * @fileoverview This file contains the in-process background job queue of the YouTube redesign backend application.
+ * Jobs are stored in the Job collection and run one at a time by a worker polling it, so queued work survives restarts.
+ * Failed attempts are retried with exponential backoff until the job runs out of attempts.
+ * Recurring jobs queue their next run when they complete or fail for good.
+ */
+
+import { Job } from "../models/job.model.js";
+import {
+  JOB_POLL_INTERVAL_MS,
+  JOB_MAX_ATTEMPTS,
+  JOB_RETRY_BASE_MS,
+  JOB_STALE_AFTER_MS,
+} from "../constants.js";
+
+// Registered handlers, keyed by job type
+const handlers = {};
+// Intervals between the runs of recurring jobs in milliseconds, keyed by job type
+const schedules = {};
+
+let pollTimer = null;
+let isRunning = false;
+// ID of the job this worker is running, which is never considered stale
+let currentJobId = null;
+
+/**
+ * Registers the handler of a type of job.
+ * @param {string} type - The type of job.
+ * @param {Object} handler - The handler.
+ * @param {Function} handler.run - Runs an attempt of the job, given the job and a function to report progress.
+ * @param {Function} [handler.onFailed] - Called with the job and the error once the job has failed for good.
+ */
+const registerJobHandler = (type, handler) => {
+  handlers[type] = handler;
+};
+
+/**
+ * Runs a type of job periodically, a fixed time after the previous run ended.
+ * The first run is queued by startJobWorker unless a run is already queued.
+ * @param {string} type - The type of job, whose handler must be registered.
+ * @param {number} intervalMs - The time between the end of a run and the start of the next one.
+ */
+const scheduleRecurringJob = (type, intervalMs) => {
+  schedules[type] = intervalMs;
+};
+
+/**
+ * Queues the next run of a recurring job.
+ * @param {string} type - The type of job.
+ */
+const queueNextRun = async (type) => {
+  if (!schedules[type]) return;
+
+  await Job.create({
+    type,
+    maxAttempts: JOB_MAX_ATTEMPTS,
+    runAt: new Date(Date.now() + schedules[type]),
+  });
+};
+
+/**
+ * Adds a job to the queue.
+ * @param {string} type - The type of job.
+ * @param {Object} payload - The data passed to the handler.
+ * @param {Object} [options] - Extra fields of the job, such as the video it works on.
+ * @returns {Object} The job document.
+ */
+const enqueueJob = async (type, payload, options = {}) => {
+  const job = await Job.create({
+    type,
+    payload,
+    maxAttempts: JOB_MAX_ATTEMPTS,
+    ...options,
+  });
+
+  // Look for work right away instead of waiting for the next poll
+  setImmediate(processJobs);
+  return job;
+};
+
+/**
+ * Claims the next job that is due, so that it is not run twice.
+ * @returns {Object|null} The claimed job, or null if no job is due.
+ */
+const claimNextJob = async () =>
+  await Job.findOneAndUpdate(
+    {
+      status: "queued",
+      runAt: { $lte: new Date() },
+      type: { $in: Object.keys(handlers) },
+    },
+    {
+      $set: { status: "running", lockedAt: new Date(), progress: 0 },
+      $inc: { attempts: 1 },
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+
+/**
+ * Runs an attempt of a job and records its outcome.
+ * @param {Object} job - The claimed job.
+ */
+const runJob = async (job) => {
+  const handler = handlers[job.type];
+
+  /**
+   * Records the progress of the job.
+   * @param {number} progress - The progress in percent.
+   */
+  const reportProgress = async (progress) => {
+    await Job.updateOne({ _id: job._id }, { $set: { progress } });
+  };
+
+  // Refresh the lock while the job runs, so that long steps are not taken for a crashed worker
+  const heartbeat = setInterval(() => {
+    Job.updateOne({ _id: job._id }, { $set: { lockedAt: new Date() } }).catch(
+      (error) => console.error("Error refreshing job lock: ", error)
+    );
+  }, JOB_STALE_AFTER_MS / 3);
+
+  try {
+    await handler.run(job, reportProgress);
+    clearInterval(heartbeat);
+
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: "completed",
+          progress: 100,
+          lockedAt: null,
+          completedAt: new Date(),
+        },
+      }
+    );
+    await queueNextRun(job.type);
+  } catch (error) {
+    clearInterval(heartbeat);
+    console.error(`Job ${job._id} (${job.type}) failed: `, error);
+
+    // Retry after a delay that doubles with every attempt
+    if (job.attempts < job.maxAttempts) {
+      await Job.updateOne(
+        { _id: job._id },
+        {
+          $set: {
+            status: "queued",
+            lockedAt: null,
+            lastError: error.message,
+            runAt: new Date(
+              Date.now() + JOB_RETRY_BASE_MS * 2 ** (job.attempts - 1)
+            ),
+          },
+        }
+      );
+      return;
+    }
+
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $set: {
+          status: "failed",
+          lockedAt: null,
+          lastError: error.message,
+          completedAt: new Date(),
+        },
+      }
+    );
+    await handler.onFailed?.(job, error);
+    await queueNextRun(job.type);
+  }
+};
+
+/**
+ * Runs the jobs that are due, one at a time, until none is left.
+ */
+const processJobs = async () => {
+  // Only one loop runs at a time, the next poll picks up jobs queued meanwhile
+  if (isRunning) return;
+  isRunning = true;
+
+  try {
+    let job = await claimNextJob();
+    while (job) {
+      currentJobId = job._id;
+      await runJob(job);
+      job = await claimNextJob();
+    }
+  } catch (error) {
+    console.error("Error processing jobs: ", error);
+  } finally {
+    currentJobId = null;
+    isRunning = false;
+  }
+};
+
+/**
+ * Queues again the jobs left running by a worker that stopped or crashed, once their lock is older than JOB_STALE_AFTER_MS.
+ */
+const requeueStaleJobs = async () => {
+  await Job.updateMany(
+    {
+      _id: { $ne: currentJobId },
+      status: "running",
+      lockedAt: { $lt: new Date(Date.now() - JOB_STALE_AFTER_MS) },
+    },
+    { $set: { status: "queued", lockedAt: null, runAt: new Date() } }
+  );
+};
+
+/**
+ * Polls for work: recovers stale jobs, then runs the jobs that are due.
+ */
+const poll = async () => {
+  try {
+    await requeueStaleJobs();
+  } catch (error) {
+    console.error("Error requeueing stale jobs: ", error);
+  }
+  await processJobs();
+};
+
+/**
+ * Starts polling for jobs, after queueing again the jobs left running by a stopped worker
+ * and queueing the first run of the recurring jobs that have none pending.
+ * Stale jobs are also looked for on every poll, so a job locked shortly before a crash is recovered once its lock expires.
+ */
+const startJobWorker = async () => {
+  await requeueStaleJobs();
+
+  for (const type of Object.keys(schedules)) {
+    const isPending = await Job.exists({
+      type,
+      status: { $in: ["queued", "running"] },
+    });
+    if (!isPending) {
+      await Job.create({ type, maxAttempts: JOB_MAX_ATTEMPTS });
+    }
+  }
+
+  const pollInterval =
+    Number(process.env.JOB_POLL_INTERVAL_MS) || JOB_POLL_INTERVAL_MS;
+  pollTimer = setInterval(poll, pollInterval);
+  processJobs();
+};
+
+/**
+ * Stops polling for jobs. The job running at that time, if any, still finishes.
+ */
+const stopJobWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+export {
+  registerJobHandler,
+  scheduleRecurringJob,
+  enqueueJob,
+  startJobWorker,
+  stopJobWorker,
+};
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview This file contains the local disk driver of the media storage of the YouTube redesign backend application.
+ * Files are kept in MEDIA_LOCAL_DIR (./uploads by default) and served under /media, so development and tests can run offline.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// URL path under which the app serves the local media directory
+const MEDIA_URL_PATH = "/media";
+
+/**
+ * Gets the directory where the media files are kept.
+ * @returns {string} The absolute path of the directory.
+ */
+const getMediaDirectory = () =>
+  path.resolve(process.env.MEDIA_LOCAL_DIR || "./uploads");
+
+/**
+ * Gets the absolute path of a stored file, refusing keys that point outside of the media directory.
+ * @param {string} key - The key of the file.
+ * @returns {string} The absolute path of the file.
+ */
+const getMediaPath = (key) => {
+  const directory = getMediaDirectory();
+  const filePath = path.resolve(directory, key);
+  if (!filePath.startsWith(directory + path.sep)) {
+    throw new Error(`Invalid media key: ${key}`);
+  }
+  return filePath;
+};
+
+/**
+ * Signs the key of a file and the time its URL expires.
+ * @param {string} key - The key of the file.
+ * @param {number} expires - The expiry time as a Unix timestamp in seconds.
+ * @returns {string} The signature.
+ */
+const signMediaUrl = (key, expires) =>
+  crypto
+    .createHmac(
+      "sha256",
+      process.env.MEDIA_URL_SECRET || process.env.ACCESS_TOKEN_SECRET
+    )
+    .update(`${key}:${expires}`)
+    .digest("base64url");
+
+/**
+ * Checks the signature of a signed media URL.
+ * @param {string} key - The key of the file.
+ * @param {string} expires - The expiry time from the URL.
+ * @param {string} signature - The signature from the URL.
+ * @returns {boolean} Whether the URL is valid and has not expired.
+ */
+const verifyMediaSignature = (key, expires, signature) => {
+  if (!signature || !(Number(expires) * 1000 > Date.now())) {
+    return false;
+  }
+  const expected = Buffer.from(signMediaUrl(key, Number(expires)));
+  const received = Buffer.from(String(signature));
+  return (
+    expected.length === received.length &&
+    crypto.timingSafeEqual(expected, received)
+  );
+};
+
+/**
+ * Creates the driver that keeps media on the local disk.
+ * @returns {Object} The driver with upload, delete, getSignedUrl and getLocalPath methods.
+ */
+const createLocalDiskDriver = () => {
+  const baseUrl = `${process.env.MEDIA_BASE_URL || ""}${MEDIA_URL_PATH}`;
+
+  return {
+    /**
+     * Copies a local file into the media directory.
+     * @param {string} localFilePath - The path to the local file to be stored.
+     * @param {string} folderName - The folder to store the file in.
+     * @returns {Object} The URL and key of the stored file.
+     */
+    upload: async (localFilePath, folderName) => {
+      const key = `${folderName}/${crypto.randomUUID()}${path.extname(localFilePath)}`;
+      const filePath = getMediaPath(key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.copyFile(localFilePath, filePath);
+
+      return { url: `${baseUrl}/${key}`, key };
+    },
+
+    /**
+     * Deletes a file from the media directory.
+     * @param {string} key - The key of the file.
+     */
+    delete: async (key) => {
+      await fs.promises.rm(getMediaPath(key), { force: true });
+    },
+
+    /**
+     * Builds a URL of a file that stops working after some time.
+     * @param {string} key - The key of the file.
+     * @param {number} expiresInSeconds - How long the URL works.
+     * @returns {string} The signed URL.
+     */
+    getSignedUrl: async (key, expiresInSeconds) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresInSeconds;
+      return `${baseUrl}/${key}?expires=${expires}&signature=${signMediaUrl(key, expires)}`;
+    },
+
+    /**
+     * Gets the path of a file on the local disk, so that it can be served directly.
+     * @param {string} key - The key of the file.
+     * @returns {string} The absolute path of the file.
+     */
+    getLocalPath: (key) => getMediaPath(key),
+  };
+};
+
+export {
+  MEDIA_URL_PATH,
+  createLocalDiskDriver,
+  getMediaDirectory,
+  getMediaPath,
+  verifyMediaSignature,
+};
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview This file contains the temporary account lockout applied after repeated failed logins in the YouTube redesign backend application.
+ * Failures and locks are kept in the rate limit store, so they are shared by every instance using the same store.
+ */
+
+import { getRateLimitStore } from "./rateLimitStore.js";
+import {
+  LOGIN_LOCKOUT_THRESHOLD,
+  LOGIN_LOCKOUT_BASE_MS,
+  LOGIN_LOCKOUT_MAX_MS,
+  LOGIN_FAILURE_WINDOW_MS,
+} from "../constants.js";
+
+/**
+ * Gets how long an account stays locked.
+ * @param {string} userId - The ID of the user.
+ * @returns {number} The remaining lock time in milliseconds, 0 if the account is not locked.
+ */
+const getLockoutRemainingMs = async (userId) => {
+  const lock = await getRateLimitStore().get(`login-lock:${userId}`);
+  return lock ? Math.max(lock.resetAt - Date.now(), 0) : 0;
+};
+
+/**
+ * Records a failed login and locks the account once there are too many failures.
+ * Every failure past the threshold doubles the lock time, up to LOGIN_LOCKOUT_MAX_MS.
+ * @param {string} userId - The ID of the user.
+ * @returns {number} The lock time in milliseconds, 0 if the account was not locked.
+ */
+const recordFailedLogin = async (userId) => {
+  const store = getRateLimitStore();
+  const { value: failures } = await store.increment(
+    `login-failures:${userId}`,
+    LOGIN_FAILURE_WINDOW_MS
+  );
+
+  if (failures < LOGIN_LOCKOUT_THRESHOLD) {
+    return 0;
+  }
+
+  const lockMs = Math.min(
+    LOGIN_LOCKOUT_BASE_MS * 2 ** (failures - LOGIN_LOCKOUT_THRESHOLD),
+    LOGIN_LOCKOUT_MAX_MS
+  );
+  await store.set(`login-lock:${userId}`, failures, lockMs);
+  return lockMs;
+};
+
+/**
+ * Forgets the failed logins of an account after a successful login.
+ * @param {string} userId - The ID of the user.
+ */
+const clearFailedLogins = async (userId) => {
+  const store = getRateLimitStore();
+  await store.delete(`login-failures:${userId}`);
+  await store.delete(`login-lock:${userId}`);
+};
+
+export { getLockoutRemainingMs, recordFailedLogin, clearFailedLogins };
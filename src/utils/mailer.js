@@ -0,0 +1,109 @@
+/**
+ * @fileoverview This file contains the pluggable mail delivery used by the YouTube redesign backend application.
+ * The transport is chosen with MAIL_TRANSPORT: "smtp" (default in production), "file" or "console" (default otherwise).
+ */
+
+import fs from "fs";
+import path from "path";
+import nodemailer from "nodemailer";
+
+/**
+ * Creates a transport that sends emails through an SMTP server.
+ * @returns {Object} The transport with a send method.
+ */
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined,
+  });
+
+  return { send: (message) => transporter.sendMail(message) };
+};
+
+/**
+ * Creates a transport that writes emails as JSON files, for local development and tests.
+ * @returns {Object} The transport with a send method.
+ */
+const createFileTransport = () => {
+  const directory = process.env.MAIL_FILE_DIR || "./.mail";
+
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(directory, { recursive: true });
+      const fileName = `${Date.now()}-${Math.random().toString(36).slice(2)}.json`;
+      await fs.promises.writeFile(
+        path.join(directory, fileName),
+        JSON.stringify({ ...message, date: new Date() }, null, 2)
+      );
+    },
+  };
+};
+
+/**
+ * Creates a transport that logs emails to the console, for local development.
+ * @returns {Object} The transport with a send method.
+ */
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    console.log("Email: ", message);
+  },
+});
+
+// Available transports, keyed by the value of MAIL_TRANSPORT
+const transportFactories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport;
+
+/**
+ * Gets the configured mail transport, creating it on first use.
+ * @returns {Object} The transport with a send method.
+ */
+const getMailTransport = () => {
+  if (!transport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "production" ? "smtp" : "console");
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+/**
+ * Replaces the mail transport, for example with a stub in tests.
+ * @param {Object} customTransport - An object with an async send(message) method.
+ */
+const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+/**
+ * Sends an email through the configured transport.
+ * @param {Object} message - The email to send.
+ * @param {string} message.to - The recipient address.
+ * @param {string} message.subject - The subject line.
+ * @param {string} message.text - The plain text body.
+ * @param {string} [message.html] - The HTML body.
+ */
+const sendMail = async ({ to, subject, text, html }) => {
+  await getMailTransport().send({
+    from: process.env.MAIL_FROM || "no-reply@youtube-redesign.local",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+export { sendMail, setMailTransport };
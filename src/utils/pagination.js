@@ -0,0 +1,61 @@
+/**
+ * @fileoverview This file contains utility functions to paginate lists from query parameters.
+ * Page options are meant to be passed to the aggregatePaginate method added by mongoose-aggregate-paginate-v2,
+ * cursors are used by feeds where new documents keep arriving at the top.
+ */
+
+import mongoose from "mongoose";
+
+/**
+ * Builds the pagination options from the page and limit query parameters.
+ * @param {Object} query - The request query object.
+ * @param {number} [maxLimit=50] - The maximum number of documents per page.
+ * @returns {Object} An object containing the page and limit options.
+ */
+const getPaginationOptions = ({ page, limit } = {}, maxLimit = 50) => {
+  return {
+    page: Math.max(parseInt(page, 10) || 1, 1),
+    limit: Math.min(Math.max(parseInt(limit, 10) || 10, 1), maxLimit),
+  };
+};
+
+/**
+ * Encodes the position of a document in a list sorted by creation date and ID, newest first.
+ * @param {Object} document - The last document of a page.
+ * @returns {string} The opaque cursor of the next page.
+ */
+const encodeCursor = ({ createdAt, _id }) =>
+  Buffer.from(
+    JSON.stringify([new Date(createdAt).toISOString(), String(_id)])
+  ).toString("base64url");
+
+/**
+ * Decodes a cursor built by encodeCursor.
+ * @param {string} cursor - The cursor from the query parameters.
+ * @returns {Object|null} The creation date and ID of the last document seen, or null if the cursor is invalid.
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !/^[a-f\d]{24}$/i.test(id)) {
+      return null;
+    }
+    return { createdAt: date, _id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Builds the filter matching the documents after a cursor, in a list sorted by creation date and ID, newest first.
+ * @param {Object} position - The decoded cursor.
+ * @returns {Object} The filter to add to the $match stage.
+ */
+const afterCursor = ({ createdAt, _id }) => ({
+  $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }],
+});
+
+export { getPaginationOptions, encodeCursor, decodeCursor, afterCursor };
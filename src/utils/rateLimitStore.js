@@ -0,0 +1,202 @@
+/**
+ * @fileoverview This file contains the pluggable counter store used for rate limiting and login lockouts in the YouTube redesign backend application.
+ * Counters are kept in memory by default; when REDIS_URL is set they are kept in Redis, so that limits are shared by several instances.
+ */
+
+import Redis from "ioredis";
+
+/**
+ * Store that keeps expiring counters in the memory of the current process.
+ */
+class MemoryStore {
+  constructor() {
+    this.entries = new Map(); // Counters keyed by name, as { value, resetAt }
+
+    // Regularly drop expired counters so that the map does not keep growing
+    this.cleanupTimer = setInterval(() => this.removeExpired(), 60 * 1000);
+    this.cleanupTimer.unref();
+  }
+
+  /**
+   * Gets a counter if it has not expired.
+   * @param {string} key - The key of the counter.
+   * @returns {Object|null} The counter as { value, resetAt }, or null.
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.resetAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * Removes all expired counters.
+   */
+  removeExpired() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.resetAt <= now) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Increments a counter, starting a new window if it does not exist.
+   * @param {string} key - The key of the counter.
+   * @param {number} windowMs - How long a new counter lives in milliseconds.
+   * @returns {Object} The counter as { value, resetAt }.
+   */
+  async increment(key, windowMs) {
+    const entry = this.getEntry(key) || {
+      value: 0,
+      resetAt: Date.now() + windowMs,
+    };
+    entry.value += 1;
+    this.entries.set(key, entry);
+    return { value: entry.value, resetAt: entry.resetAt };
+  }
+
+  /**
+   * Gets a counter.
+   * @param {string} key - The key of the counter.
+   * @returns {Object|null} The counter as { value, resetAt }, or null if it does not exist.
+   */
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry ? { value: entry.value, resetAt: entry.resetAt } : null;
+  }
+
+  /**
+   * Sets a counter to a value for a given time.
+   * @param {string} key - The key of the counter.
+   * @param {number} value - The value of the counter.
+   * @param {number} ttlMs - How long the counter lives in milliseconds.
+   */
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, resetAt: Date.now() + ttlMs });
+  }
+
+  /**
+   * Deletes a counter.
+   * @param {string} key - The key of the counter.
+   */
+  async delete(key) {
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Store that keeps expiring counters in Redis, shared by every instance of the application.
+ * It works with any client exposing the ioredis command methods (set, get, incr, pttl, del).
+ */
+class RedisStore {
+  /**
+   * Creates an instance of RedisStore.
+   * @param {Object} client - A connected Redis client.
+   * @param {string} [prefix="rl:"] - Prefix added to every key.
+   */
+  constructor(client, prefix = "rl:") {
+    this.client = client; // Redis client used to run the commands
+    this.prefix = prefix; // Prefix that keeps the counters apart from other data
+  }
+
+  /**
+   * Increments a counter, starting a new window if it does not exist.
+   * @param {string} key - The key of the counter.
+   * @param {number} windowMs - How long a new counter lives in milliseconds.
+   * @returns {Object} The counter as { value, resetAt }.
+   */
+  async increment(key, windowMs) {
+    const redisKey = this.prefix + key;
+
+    // Create the counter with its expiry only if it does not exist yet, so that concurrent requests share the window
+    await this.client.set(redisKey, 0, "PX", windowMs, "NX");
+    const value = await this.client.incr(redisKey);
+    const ttl = await this.client.pttl(redisKey);
+
+    return { value, resetAt: Date.now() + Math.max(ttl, 0) };
+  }
+
+  /**
+   * Gets a counter.
+   * @param {string} key - The key of the counter.
+   * @returns {Object|null} The counter as { value, resetAt }, or null if it does not exist.
+   */
+  async get(key) {
+    const redisKey = this.prefix + key;
+    const value = await this.client.get(redisKey);
+    if (value === null) {
+      return null;
+    }
+
+    const ttl = await this.client.pttl(redisKey);
+    return { value: Number(value), resetAt: Date.now() + Math.max(ttl, 0) };
+  }
+
+  /**
+   * Sets a counter to a value for a given time.
+   * @param {string} key - The key of the counter.
+   * @param {number} value - The value of the counter.
+   * @param {number} ttlMs - How long the counter lives in milliseconds.
+   */
+  async set(key, value, ttlMs) {
+    await this.client.set(this.prefix + key, value, "PX", ttlMs);
+  }
+
+  /**
+   * Deletes a counter.
+   * @param {string} key - The key of the counter.
+   */
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+let store;
+
+/**
+ * Gets the configured rate limit store, creating the in-memory store on first use.
+ * @returns {Object} The store.
+ */
+const getRateLimitStore = () => {
+  if (!store) {
+    store = new MemoryStore();
+  }
+  return store;
+};
+
+/**
+ * Replaces the rate limit store, for example with a RedisStore when running several instances.
+ * @param {Object} customStore - An object with async increment, get, set and delete methods.
+ */
+const setRateLimitStore = (customStore) => {
+  store = customStore;
+};
+
+/**
+ * Sets up the rate limit store from the configuration: a RedisStore when REDIS_URL is set, the in-memory store otherwise.
+ * @returns {Object} The store.
+ */
+const configureRateLimitStore = () => {
+  if (process.env.REDIS_URL) {
+    const client = new Redis(process.env.REDIS_URL);
+    // The client reconnects by itself, so connection errors are only logged
+    client.on("error", (error) => console.error("Redis error: ", error));
+    setRateLimitStore(new RedisStore(client));
+  }
+  return getRateLimitStore();
+};
+
+export {
+  MemoryStore,
+  RedisStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  configureRateLimitStore,
+};
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview This file contains the pluggable media storage used by the YouTube redesign backend application.
+ * The driver is chosen with STORAGE_DRIVER: "cloudinary" (default in production) or "local" (default otherwise).
+ * Stored files are identified by asset IDs of the form "<driver>:<key>", which are saved on the models next to the URLs.
+ */
+
+import fs from "fs";
+import { createCloudinaryDriver } from "./cloudinary.js";
+import { createLocalDiskDriver } from "./localDiskStorage.js";
+
+// Available drivers, keyed by the value of STORAGE_DRIVER
+const driverFactories = {
+  cloudinary: createCloudinaryDriver,
+  local: createLocalDiskDriver,
+};
+
+// Drivers created so far, so that assets stored with another driver can still be deleted
+const drivers = {};
+
+/**
+ * Gets a driver by name, creating it on first use.
+ * @param {string} name - The name of the driver.
+ * @returns {Object} The driver with upload, delete and getSignedUrl methods.
+ */
+const getDriver = (name) => {
+  if (!drivers[name]) {
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    drivers[name] = factory();
+  }
+  return drivers[name];
+};
+
+/**
+ * Gets the name of the driver new files are stored with.
+ * @returns {string} The name of the driver.
+ */
+const getDefaultDriverName = () =>
+  process.env.STORAGE_DRIVER ||
+  (process.env.NODE_ENV === "production" ? "cloudinary" : "local");
+
+/**
+ * Replaces a storage driver, for example with a stub in tests.
+ * @param {string} name - The name of the driver, as used in asset IDs.
+ * @param {Object} customDriver - An object with async upload, delete and getSignedUrl methods, getLocalPath for drivers that keep files on the local disk
+ * and getKeyFromUrl for drivers whose files may have been saved without an asset ID.
+ */
+const setStorageDriver = (name, customDriver) => {
+  drivers[name] = customDriver;
+};
+
+/**
+ * Splits an asset ID into the driver that stored it and the key of the file.
+ * @param {string} assetId - The asset ID.
+ * @returns {Object} The driver and the key.
+ */
+const parseAssetId = (assetId) => {
+  const separatorIndex = assetId.indexOf(":");
+  return {
+    driver: getDriver(assetId.slice(0, separatorIndex)),
+    key: assetId.slice(separatorIndex + 1),
+  };
+};
+
+/**
+ * Stores a local file with the configured driver and removes the local file.
+ * @param {string} localFilePath - The path to the local file to be stored.
+ * @param {string} folderName - The folder to store the file in.
+ * @param {Object} [options] - Upload options.
+ * @param {boolean} [options.keepLocalFile=false] - Keep the local file, for example so that a failed upload can be retried.
+ * @param {boolean} [options.isPrivate=false] - Only deliver the file through signed URLs, for drivers that serve files publicly.
+ * @param {boolean} [options.isVideo=false] - The file is a video, which drivers may upload differently because of its size.
+ * @returns {Object|null} The URL, asset ID and duration (for videos when known) of the file, or null if storing fails.
+ */
+const uploadFile = async (
+  localFilePath,
+  folderName,
+  { keepLocalFile = false, isPrivate = false, isVideo = false } = {}
+) => {
+  // Return null if the local file path is not provided
+  if (!localFilePath) return null;
+
+  try {
+    const driverName = getDefaultDriverName();
+    const { url, key, duration } = await getDriver(driverName).upload(
+      localFilePath,
+      folderName,
+      { isPrivate, isVideo }
+    );
+    return { url, assetId: `${driverName}:${key}`, duration };
+  } catch (error) {
+    console.error("Error storing file: ", error);
+    return null;
+  } finally {
+    // Remove the local file whether or not it was stored
+    if (!keepLocalFile) {
+      await fs.promises.rm(localFilePath, { force: true });
+    }
+  }
+};
+
+/**
+ * Deletes a stored file. Failures are logged, not thrown, so that they do not fail the request.
+ * @param {string} assetId - The asset ID of the file.
+ */
+const deleteFile = async (assetId) => {
+  if (!assetId) return;
+
+  try {
+    const { driver, key } = parseAssetId(assetId);
+    await driver.delete(key);
+  } catch (error) {
+    console.error("Error deleting file: ", error);
+  }
+};
+
+/**
+ * Builds a URL of a stored file that stops working after some time.
+ * @param {string} assetId - The asset ID of the file.
+ * @param {number} [expiresInSeconds=3600] - How long the URL works.
+ * @returns {string} The signed URL.
+ */
+const getSignedUrl = async (assetId, expiresInSeconds = 3600) => {
+  const { driver, key } = parseAssetId(assetId);
+  return await driver.getSignedUrl(key, expiresInSeconds);
+};
+
+/**
+ * Gets the path of a stored file on the local disk, if its driver keeps files there.
+ * @param {string} assetId - The asset ID of the file.
+ * @returns {string|null} The absolute path of the file, or null for remote storage.
+ */
+const getLocalFilePath = (assetId) => {
+  const { driver, key } = parseAssetId(assetId);
+  return driver.getLocalPath ? driver.getLocalPath(key) : null;
+};
+
+/**
+ * Gets the asset ID of a file from its URL, for files saved before they had asset IDs.
+ * @param {string} url - The URL of the file.
+ * @returns {string|null} The asset ID of the file, or null if no driver recognizes the URL.
+ */
+const getAssetIdFromUrl = (url) => {
+  for (const driverName of Object.keys(driverFactories)) {
+    const key = getDriver(driverName).getKeyFromUrl?.(url);
+    if (key) return `${driverName}:${key}`;
+  }
+  return null;
+};
+
+export {
+  uploadFile,
+  deleteFile,
+  getSignedUrl,
+  getLocalFilePath,
+  getAssetIdFromUrl,
+  setStorageDriver,
+};
@@ -0,0 +1,68 @@
+/**
+ * @fileoverview This file contains utility functions to parse and normalize video tags.
+ * Tags can arrive as an array (JSON bodies, repeated query params) or as a comma separated string (multipart forms).
+ */
+
+import { ApiError } from "./ApiError.js";
+
+// Limits applied to the tags of a single video
+const MAX_TAGS = 15;
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Normalizes a tag name by trimming it, collapsing whitespace and lowercasing it.
+ * @param {string} name - The raw tag name.
+ * @returns {string} The normalized tag name.
+ */
+const normalizeTagName = (name) =>
+  String(name).trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Builds the URL-safe slug of a tag name.
+ * @param {string} name - The tag name.
+ * @returns {string} The slug of the tag.
+ */
+const slugifyTag = (name) =>
+  normalizeTagName(name)
+    .replace(/^#/, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "");
+
+/**
+ * Parses tag input into a list of normalized tag names without duplicates.
+ * @param {string|Array} input - A comma separated string or an array of tags.
+ * @returns {Array} The list of normalized tag names.
+ */
+const parseTags = (input) => {
+  if (input === undefined || input === null || input === "") return [];
+
+  const rawTags = (Array.isArray(input) ? input : [input]).flatMap((tag) =>
+    String(tag).split(",")
+  );
+
+  // Keep the first occurrence of every slug
+  const tagsBySlug = new Map();
+  rawTags.forEach((tag) => {
+    const name = normalizeTagName(tag).replace(/^#/, "");
+    const slug = slugifyTag(name);
+    if (slug && !tagsBySlug.has(slug)) {
+      tagsBySlug.set(slug, name);
+    }
+  });
+
+  const tags = [...tagsBySlug.values()];
+
+  if (tags.length > MAX_TAGS) {
+    throw new ApiError(400, `A video can have at most ${MAX_TAGS} tags.`);
+  }
+  if (tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw new ApiError(
+      400,
+      `Tags can be at most ${MAX_TAG_LENGTH} characters long.`
+    );
+  }
+
+  return tags;
+};
+
+export { normalizeTagName, slugifyTag, parseTags };
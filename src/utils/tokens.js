@@ -0,0 +1,24 @@
+/**
+ * @fileoverview This file contains utility functions to generate and hash opaque tokens.
+ * Only hashes of tokens are stored, so a leaked database does not leak usable tokens.
+ */
+
+import crypto from "crypto";
+
+/**
+ * Generates a random URL-safe token.
+ * @param {number} [bytes=32] - The number of random bytes.
+ * @returns {string} The token.
+ */
+const generateToken = (bytes = 32) =>
+  crypto.randomBytes(bytes).toString("base64url");
+
+/**
+ * Hashes a token so that only its hash is stored.
+ * @param {string} token - The token.
+ * @returns {string} The hex encoded SHA-256 hash of the token.
+ */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+export { generateToken, hashToken };
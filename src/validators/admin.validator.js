@@ -0,0 +1,48 @@
+/**
+ * @fileoverview This file defines the validation schemas of the admin routes in the YouTube redesign backend application.
+ */
+
+import { z } from "zod";
+import {
+  objectIdParams,
+  numeric,
+  paginationQuery,
+} from "./common.validator.js";
+
+const userParams = objectIdParams({ userId: "user ID" });
+const role = z.enum(["viewer", "creator", "admin"], {
+  errorMap: () => ({ message: "Role must be one of: viewer, creator, admin." }),
+});
+const accountStatus = z.enum(["active", "suspended", "banned"], {
+  errorMap: () => ({
+    message: "Status must be one of: active, suspended, banned.",
+  }),
+});
+
+export const getAllUsersSchema = {
+  query: paginationQuery.extend({
+    role: role.optional(),
+    status: accountStatus.optional(),
+    query: z.string().trim().optional(),
+  }),
+};
+
+export const updateUserRoleSchema = {
+  params: userParams,
+  body: z.object({ role }),
+};
+
+export const updateUserStatusSchema = {
+  params: userParams,
+  body: z.object({
+    status: accountStatus,
+    reason: z
+      .string()
+      .trim()
+      .max(500, "Reason can be at most 500 characters long.")
+      .optional(),
+    durationHours: numeric("Duration")
+      .pipe(z.number().positive("Duration must be a positive number of hours."))
+      .optional(),
+  }),
+};
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview This file defines the validation schemas of the comment routes in the YouTube redesign backend application.
+ */
+
+import { z } from "zod";
+import {
+  objectId,
+  objectIdParams,
+  requiredText,
+  paginationQuery,
+} from "./common.validator.js";
+
+const commentParams = objectIdParams({ commentId: "comment ID" });
+const content = requiredText("Content", 10000);
+
+// Top-level comments can be sorted by date or by likes
+const commentListQuery = paginationQuery.extend({
+  sortBy: z.enum(["newest", "top"]).optional(),
+});
+const newComment = z.object({
+  content,
+  parentId: objectId("parent comment ID").optional(),
+});
+
+export const videoCommentsSchema = {
+  params: objectIdParams({ videoId: "video ID" }),
+  query: commentListQuery,
+};
+
+export const addVideoCommentSchema = {
+  params: objectIdParams({ videoId: "video ID" }),
+  body: newComment,
+};
+
+export const postCommentsSchema = {
+  params: objectIdParams({ postId: "post ID" }),
+  query: commentListQuery,
+};
+
+export const addPostCommentSchema = {
+  params: objectIdParams({ postId: "post ID" }),
+  body: newComment,
+};
+
+export const commentParamsSchema = {
+  params: commentParams,
+};
+
+export const updateCommentSchema = {
+  params: commentParams,
+  body: z.object({ content }),
+};
+
+export const commentRepliesSchema = {
+  params: commentParams,
+  query: paginationQuery,
+};
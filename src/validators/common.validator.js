@@ -0,0 +1,146 @@
+/**
+ * @fileoverview This file contains the building blocks shared by the request validation schemas of the YouTube redesign backend application.
+ * Values from multipart forms and query strings always arrive as strings, so numbers, booleans and lists are coerced here.
+ */
+
+import { z } from "zod";
+
+/**
+ * Schema for a MongoDB ObjectId in its 24 hex characters form.
+ * @param {string} label - The name of the ID used in the error message.
+ * @returns {Object} The schema.
+ */
+const objectId = (label) =>
+  z
+    .string({ required_error: `${label} is required.` })
+    .regex(/^[a-f\d]{24}$/i, `Invalid ${label}.`);
+
+/**
+ * Schema for the route params of a request where every param is an ObjectId.
+ * @param {Object} labels - The name of each param mapped to the name used in error messages.
+ * @returns {Object} The schema.
+ */
+const objectIdParams = (labels) =>
+  z.object(
+    Object.fromEntries(
+      Object.entries(labels).map(([param, label]) => [param, objectId(label)])
+    )
+  );
+
+/**
+ * Schema for a number, accepting numeric strings.
+ * @param {string} label - The name of the field used in the error message.
+ * @returns {Object} The schema.
+ */
+const numeric = (label) =>
+  z.preprocess(
+    (value) =>
+      typeof value === "string" && value.trim() !== "" ? Number(value) : value,
+    z.number({
+      required_error: `${label} is required.`,
+      invalid_type_error: `${label} must be a number.`,
+    })
+  );
+
+/**
+ * Schema for a boolean, accepting "true" and "false" strings.
+ * @param {string} label - The name of the field used in the error message.
+ * @returns {Object} The schema.
+ */
+const booleanish = (label) =>
+  z.preprocess(
+    (value) => (value === "true" ? true : value === "false" ? false : value),
+    z.boolean({
+      required_error: `${label} is required.`,
+      invalid_type_error: `${label} must be a boolean.`,
+    })
+  );
+
+/**
+ * Schema for a list of strings, accepting an array or a comma separated string.
+ * @returns {Object} The schema.
+ */
+const stringList = () =>
+  z.preprocess(
+    (value) =>
+      (Array.isArray(value) ? value : [value])
+        .flatMap((item) => String(item).split(","))
+        .map((item) => item.trim())
+        .filter(Boolean),
+    z.array(z.string())
+  );
+
+/**
+ * Schema for a date, accepting any string understood by the Date constructor.
+ * @param {string} label - The name of the field used in the error message.
+ * @returns {Object} The schema.
+ */
+const dateString = (label) =>
+  z.coerce.date({ errorMap: () => ({ message: `${label} must be a date.` }) });
+
+/**
+ * Schema for a required text that cannot be blank.
+ * @param {string} label - The name of the field used in the error message.
+ * @param {number} maxLength - The maximum length of the text.
+ * @returns {Object} The schema.
+ */
+const requiredText = (label, maxLength) =>
+  z
+    .string({ required_error: `${label} is required.` })
+    .trim()
+    .min(1, `${label} cannot be empty.`)
+    .max(maxLength, `${label} can be at most ${maxLength} characters long.`);
+
+// Email addresses are stored lowercased
+const email = z
+  .string({ required_error: "Email is required." })
+  .trim()
+  .toLowerCase()
+  .email("Invalid email address.");
+
+// Usernames are stored lowercased and appear in channel URLs
+const username = z
+  .string({ required_error: "Username is required." })
+  .trim()
+  .toLowerCase()
+  .regex(
+    /^[a-z0-9._]{3,30}$/,
+    "Username must be 3 to 30 characters long and contain only letters, numbers, dots and underscores."
+  );
+
+// New passwords must be reasonably strong; existing ones are only checked for presence
+const password = z
+  .string({ required_error: "Password is required." })
+  .min(8, "Password must be at least 8 characters long.")
+  .max(128, "Password can be at most 128 characters long.")
+  .regex(/[a-z]/, "Password must contain a lowercase letter.")
+  .regex(/[A-Z]/, "Password must contain an uppercase letter.")
+  .regex(/\d/, "Password must contain a number.");
+
+// Page and limit of paginated lists, clamped later by getPaginationOptions
+const paginationQuery = z.object({
+  page: numeric("Page").pipe(z.number().int().min(1)).optional(),
+  limit: numeric("Limit").pipe(z.number().int().min(1)).optional(),
+});
+
+// Visibility shared by videos and playlists
+const visibility = z.enum(["public", "private", "unlisted"], {
+  errorMap: () => ({
+    message: "Status must be one of: public, private, unlisted.",
+  }),
+});
+
+export {
+  objectId,
+  objectIdParams,
+  numeric,
+  booleanish,
+  stringList,
+  dateString,
+  requiredText,
+  email,
+  username,
+  password,
+  paginationQuery,
+  visibility,
+};
@@ -0,0 +1,38 @@
+/**
+ * @fileoverview This file defines the validation schemas of the creator dashboard routes in the YouTube redesign backend application.
+ */
+
+import { z } from "zod";
+import {
+  objectIdParams,
+  dateString,
+  paginationQuery,
+} from "./common.validator.js";
+
+// Date range of the statistics, checked further by the handler
+const dateRange = {
+  startDate: dateString("Start date").optional(),
+  endDate: dateString("End date").optional(),
+};
+
+// Size of the buckets of the time series
+const interval = z
+  .enum(["day", "week", "month"], {
+    errorMap: () => ({
+      message: "Interval must be one of: day, week, month.",
+    }),
+  })
+  .optional();
+
+export const channelOverviewSchema = {
+  query: z.object({ ...dateRange, interval }),
+};
+
+export const videosStatsSchema = {
+  query: paginationQuery.extend(dateRange),
+};
+
+export const videoStatsSchema = {
+  params: objectIdParams({ videoId: "video ID" }),
+  query: z.object({ ...dateRange, interval }),
+};
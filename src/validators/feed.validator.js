@@ -0,0 +1,18 @@
+/**
+ * @fileoverview This file defines the validation schemas of the feed routes in the YouTube redesign backend application.
+ */
+
+import { z } from "zod";
+import { numeric, paginationQuery } from "./common.validator.js";
+
+export const homeFeedSchema = {
+  query: paginationQuery,
+};
+
+// The cursor is opaque to clients, it is decoded by the handler
+export const subscriptionsFeedSchema = {
+  query: z.object({
+    cursor: z.string().trim().min(1).optional(),
+    limit: numeric("Limit").pipe(z.number().int().min(1)).optional(),
+  }),
+};
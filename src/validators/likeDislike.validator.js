@@ -0,0 +1,37 @@
+/**
+ * @fileoverview This file defines the validation schemas of the like/dislike routes in the YouTube redesign backend application.
+ */
+
+import { z } from "zod";
+import { objectIdParams, paginationQuery } from "./common.validator.js";
+
+// The reaction param is already restricted to like|dislike by the route path
+const reaction = z.enum(["like", "dislike"]);
+
+export const videoReactionsSchema = {
+  params: objectIdParams({ videoId: "video ID" }),
+};
+
+export const toggleVideoReactionSchema = {
+  params: objectIdParams({ videoId: "video ID" }).extend({ reaction }),
+};
+
+export const postReactionsSchema = {
+  params: objectIdParams({ postId: "post ID" }),
+};
+
+export const togglePostReactionSchema = {
+  params: objectIdParams({ postId: "post ID" }).extend({ reaction }),
+};
+
+export const commentReactionsSchema = {
+  params: objectIdParams({ commentId: "comment ID" }),
+};
+
+export const toggleCommentReactionSchema = {
+  params: objectIdParams({ commentId: "comment ID" }).extend({ reaction }),
+};
+
+export const likedVideosSchema = {
+  query: paginationQuery,
+};
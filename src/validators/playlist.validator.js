@@ -0,0 +1,69 @@
+/**
+ * @fileoverview This file defines the validation schemas of the playlist routes in the YouTube redesign backend application.
+ */
+
+import { z } from "zod";
+import {
+  objectIdParams,
+  numeric,
+  requiredText,
+  paginationQuery,
+  visibility,
+} from "./common.validator.js";
+
+const playlistParams = objectIdParams({ playlistId: "playlist ID" });
+const playlistVideoParams = objectIdParams({
+  playlistId: "playlist ID",
+  videoId: "video ID",
+});
+
+// Editable details of a playlist
+const playlistDetails = {
+  name: requiredText("Name", 150),
+  description: z
+    .string()
+    .trim()
+    .max(5000, "Description can be at most 5000 characters long."),
+  status: visibility,
+};
+
+export const createPlaylistSchema = {
+  body: z.object({
+    name: playlistDetails.name,
+    description: playlistDetails.description.optional(),
+    status: playlistDetails.status.optional(),
+  }),
+};
+
+export const userPlaylistsSchema = {
+  params: objectIdParams({ userId: "user ID" }),
+  query: paginationQuery,
+};
+
+export const playlistParamsSchema = {
+  params: playlistParams,
+};
+
+export const updatePlaylistSchema = {
+  params: playlistParams,
+  body: z
+    .object(playlistDetails)
+    .partial()
+    .refine((body) => Object.keys(body).length > 0, {
+      message: "At least one field is required to update.",
+    }),
+};
+
+export const playlistVideoSchema = {
+  params: playlistVideoParams,
+};
+
+// The upper bound of the position depends on the playlist and is checked by the handler
+export const moveVideoSchema = {
+  params: playlistVideoParams,
+  body: z.object({
+    position: numeric("Position").pipe(
+      z.number().int("Position must be an integer.").min(0)
+    ),
+  }),
+};
@@ -0,0 +1,32 @@
+/**
+ * @fileoverview This file defines the validation schemas of the community post routes in the YouTube redesign backend application.
+ */
+
+import { z } from "zod";
+import {
+  objectIdParams,
+  requiredText,
+  paginationQuery,
+} from "./common.validator.js";
+
+const postParams = objectIdParams({ postId: "post ID" });
+const content = requiredText("Content", 5000);
+
+export const createPostSchema = {
+  body: z.object({ content }),
+};
+
+export const channelPostsSchema = {
+  params: objectIdParams({ channelId: "channel ID" }),
+  query: paginationQuery,
+};
+
+export const postParamsSchema = {
+  params: postParams,
+};
+
+// The content is optional when only the image is replaced, which the handler checks
+export const updatePostSchema = {
+  params: postParams,
+  body: z.object({ content: content.optional() }),
+};
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview This file defines the validation schemas of the subscription routes in the YouTube redesign backend application.
+ */
+
+import { objectIdParams, paginationQuery } from "./common.validator.js";
+
+export const toggleSubscriptionSchema = {
+  params: objectIdParams({ channelId: "channel ID" }),
+};
+
+export const channelSubscribersSchema = {
+  params: objectIdParams({ channelId: "channel ID" }),
+  query: paginationQuery,
+};
+
+export const subscribedChannelsSchema = {
+  params: objectIdParams({ subscriberId: "subscriber ID" }),
+  query: paginationQuery,
+};
@@ -0,0 +1,19 @@
+/**
+ * @fileoverview This file defines the validation schemas of the tag routes in the YouTube redesign backend application.
+ */
+
+import { z } from "zod";
+import { numeric, paginationQuery } from "./common.validator.js";
+
+// Out of range values are clamped by the handler
+export const trendingTagsSchema = {
+  query: z.object({
+    days: numeric("Days").pipe(z.number().int()).optional(),
+    limit: numeric("Limit").pipe(z.number().int()).optional(),
+  }),
+};
+
+export const tagVideosSchema = {
+  params: z.object({ slug: z.string().trim().min(1) }),
+  query: paginationQuery,
+};
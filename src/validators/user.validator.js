@@ -0,0 +1,85 @@
+/**
+ * @fileoverview This file defines the validation schemas of the user routes in the YouTube redesign backend application.
+ */
+
+import { z } from "zod";
+import {
+  objectIdParams,
+  requiredText,
+  email,
+  username,
+  password,
+} from "./common.validator.js";
+
+// Display name of a user
+const fullName = requiredText("Full name", 100);
+
+export const registerSchema = {
+  body: z.object({ username, email, password, fullName }),
+};
+
+// Users log in with either their email or their username
+export const loginSchema = {
+  body: z
+    .object({
+      email: z.string().trim().toLowerCase().optional(),
+      username: z.string().trim().toLowerCase().optional(),
+      password: z
+        .string({ required_error: "Password is required." })
+        .min(1, "Password is required."),
+    })
+    .refine((body) => body.email || body.username, {
+      message: "Username or email is required.",
+      path: ["username"],
+    }),
+};
+
+// The refresh token can also be sent as a cookie
+export const refreshTokenSchema = {
+  body: z.object({ refreshToken: z.string().optional() }),
+};
+
+export const sessionParamsSchema = {
+  params: objectIdParams({ sessionId: "session ID" }),
+};
+
+export const changePasswordSchema = {
+  body: z
+    .object({
+      oldPassword: z
+        .string({ required_error: "Old password is required." })
+        .min(1, "Old password is required."),
+      newPassword: password,
+    })
+    .refine((body) => body.oldPassword !== body.newPassword, {
+      message: "New password must be different from the old password.",
+      path: ["newPassword"],
+    }),
+};
+
+export const verifyEmailSchema = {
+  body: z.object({ token: requiredText("Token", 200) }),
+};
+
+export const forgotPasswordSchema = {
+  body: z.object({ email }),
+};
+
+export const resetPasswordSchema = {
+  body: z.object({ token: requiredText("Token", 200), newPassword: password }),
+};
+
+export const updateAccountDetailsSchema = {
+  body: z
+    .object({ fullName: fullName.optional(), email: email.optional() })
+    .refine((body) => body.fullName || body.email, {
+      message: "Full name or email is required.",
+    }),
+};
+
+// Lenient on the format, so that accounts created before the username rules stay reachable
+export const channelProfileSchema = {
+  params: z.object({
+    username: requiredText("Username", 100).toLowerCase(),
+  }),
+};
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview This file defines the validation schemas of the video routes in the YouTube redesign backend application.
+ */
+
+import { z } from "zod";
+import {
+  objectId,
+  objectIdParams,
+  numeric,
+  stringList,
+  dateString,
+  requiredText,
+  paginationQuery,
+  visibility,
+} from "./common.validator.js";
+
+const videoParams = objectIdParams({ videoId: "video ID" });
+
+// Editable details of a video, sent as multipart fields when publishing
+const videoDetails = {
+  title: requiredText("Title", 100),
+  description: z
+    .string()
+    .trim()
+    .max(5000, "Description can be at most 5000 characters long."),
+  tags: stringList(),
+  category: z
+    .string()
+    .trim()
+    .max(50, "Category can be at most 50 characters long."),
+  status: visibility,
+};
+
+export const publishVideoSchema = {
+  body: z.object({
+    title: videoDetails.title,
+    description: videoDetails.description.optional(),
+    tags: videoDetails.tags.optional(),
+    category: videoDetails.category.optional(),
+    status: videoDetails.status.optional(),
+  }),
+};
+
+export const getAllVideosSchema = {
+  query: paginationQuery.extend({
+    query: z.string().trim().optional(),
+    category: z.string().trim().optional(),
+    tags: stringList().optional(),
+    owner: objectId("owner ID").optional(),
+    sortBy: z.enum(["createdAt", "views", "duration", "title"]).optional(),
+    sortType: z.enum(["asc", "desc"]).optional(),
+    minDuration: numeric("Minimum duration").pipe(z.number().min(0)).optional(),
+    maxDuration: numeric("Maximum duration").pipe(z.number().min(0)).optional(),
+    startDate: dateString("Start date").optional(),
+    endDate: dateString("End date").optional(),
+  }),
+};
+
+export const videoParamsSchema = {
+  params: videoParams,
+};
+
+export const updateVideoSchema = {
+  params: videoParams,
+  body: z
+    .object(videoDetails)
+    .partial()
+    .refine((body) => Object.keys(body).length > 0, {
+      message: "At least one field is required to update.",
+    }),
+};
+
+// Out of range limits are clamped by the handler
+export const trendingVideosSchema = {
+  query: z.object({
+    category: z.string().trim().max(50).optional(),
+    limit: numeric("Limit").pipe(z.number().int().min(1)).optional(),
+  }),
+};
+
+// Out of range limits are clamped by the handler
+export const relatedVideosSchema = {
+  params: videoParams,
+  query: z.object({
+    limit: numeric("Limit").pipe(z.number().int().min(1)).optional(),
+  }),
+};
+
+export const registerVideoViewSchema = {
+  params: videoParams,
+  body: z.object({
+    progress: numeric("Progress").pipe(
+      z.number().min(0, "Progress must be a non-negative number.")
+    ),
+    fingerprint: z.string().max(200).optional(),
+  }),
+};
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview This file defines the validation schemas of the watch history routes in the YouTube redesign backend application.
+ */
+
+import { z } from "zod";
+import {
+  objectIdParams,
+  numeric,
+  booleanish,
+  paginationQuery,
+} from "./common.validator.js";
+
+const videoParams = objectIdParams({ videoId: "video ID" });
+
+export const watchHistorySchema = {
+  query: paginationQuery,
+};
+
+export const watchHistoryPauseSchema = {
+  body: z.object({ paused: booleanish("Paused") }),
+};
+
+export const recordWatchProgressSchema = {
+  params: videoParams,
+  body: z.object({
+    progress: numeric("Progress").pipe(
+      z.number().min(0, "Progress must be a non-negative number.")
+    ),
+  }),
+};
+
+export const watchHistoryVideoSchema = {
+  params: videoParams,
+};